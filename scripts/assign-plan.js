@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+// ABOUTME: Script to assign an API key to a customer and plan in the customer registry
+// ABOUTME: Plans are defined in config/plans.json, assignments live in the customers table under the key identifier
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2)
+  let apiKey = null
+  let customerId = null
+  let planId = null
+  let anchorDay = 1
+  let stage = 'dev'
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--api-key' && args[i + 1]) {
+      apiKey = args[i + 1]
+      i++
+    } else if (args[i] === '--customer' && args[i + 1]) {
+      customerId = args[i + 1]
+      i++
+    } else if (args[i] === '--plan' && args[i + 1]) {
+      planId = args[i + 1]
+      i++
+    } else if (args[i] === '--anchor-day' && args[i + 1]) {
+      anchorDay = parseInt(args[i + 1], 10)
+      i++
+    } else if (args[i] === '--stage' && args[i + 1]) {
+      stage = args[i + 1]
+      i++
+    }
+  }
+
+  return { apiKey, customerId, planId, anchorDay, stage }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { apiKey, customerId, planId, anchorDay, stage } = parseArgs()
+
+  if (!apiKey || !customerId || !planId) {
+    console.error('Usage: node scripts/assign-plan.js --api-key <key> --customer <id> --plan <plan> [--anchor-day 1] [--stage dev]')
+    process.exit(1)
+  }
+
+  // The registry module reads its table name from the environment when loaded
+  process.env.CUSTOMERS_TABLE = process.env.CUSTOMERS_TABLE || `usage-billing-api-${stage}-customers`
+  const { putCustomer } = require('../src/lib/customers')
+  const { toKeyId } = require('../src/lib/api-keys')
+
+  // Customers are looked up by key identifier, the form usage is stored under
+  const keyId = toKeyId(apiKey)
+  await putCustomer({ apiKey: keyId, customerId, planId, billingAnchorDay: anchorDay })
+
+  console.log('✅ Customer registered')
+  console.log(`   API Key ID: ${keyId}`)
+  console.log(`   Customer: ${customerId}`)
+  console.log(`   Plan: ${planId}`)
+  console.log(`   Billing anchor day: ${anchorDay}`)
+  console.log(`   Table: ${process.env.CUSTOMERS_TABLE}`)
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Error:', error.message)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+// ABOUTME: Script to export daily or monthly usage of every API key as CSV or NDJSON
+// ABOUTME: Reads the usage metrics table directly, rows match the /usage?format=csv|ndjson export
+
+const fs = require('fs')
+const { queryUsageItems, listApiKeysWithUsage } = require('../src/lib/dynamodb')
+const { resolveUsageRange } = require('../src/lib/usage-range')
+const { buildUsageSeries } = require('../src/lib/usage-summary')
+const { buildExportRows, formatExportRows } = require('../src/lib/usage-export')
+
+const EXPORT_GRANULARITIES = ['day', 'month']
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2)
+  const options = {
+    month: null,
+    from: null,
+    to: null,
+    format: 'csv',
+    granularity: 'day',
+    output: null,
+    stage: 'dev'
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].replace(/^--/, '')
+
+    if (args[i].startsWith('--') && name in options && args[i + 1]) {
+      options[name] = args[i + 1]
+      i++
+    }
+  }
+
+  return options
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { month, from, to, format, granularity, output, stage } = parseArgs()
+
+  if (!['csv', 'ndjson'].includes(format) || !EXPORT_GRANULARITIES.includes(granularity)) {
+    console.error('Usage: node scripts/export-usage.js (--month YYYY-MM | --from YYYY-MM-DD --to YYYY-MM-DD) [--format csv|ndjson] [--granularity day|month] [--output file] [--stage dev]')
+    process.exit(1)
+  }
+
+  const range = resolveUsageRange({ month, from, to })
+  if (range.error || range.hourly) {
+    console.error(`❌ ${range.error || 'Bulk exports cover whole days, use --from/--to with YYYY-MM-DD'}`)
+    process.exit(1)
+  }
+
+  const tableName = process.env.USAGE_METRICS_TABLE || `usage-billing-api-${stage}-usage-metrics`
+  const endDate = range.endKey.split('T')[0]
+  const apiKeys = await listApiKeysWithUsage(tableName, range.startDate, endDate)
+
+  // Progress goes to stderr so the export can be piped from stdout
+  console.error(`📦 Exporting ${granularity} usage of ${apiKeys.length} API keys (${range.startDate} to ${endDate}) from ${tableName}`)
+
+  const stream = output ? fs.createWriteStream(output) : process.stdout
+
+  for (const [index, apiKey] of apiKeys.entries()) {
+    const items = await queryUsageItems(tableName, apiKey, range)
+
+    const rows = buildExportRows(apiKey, granularity, buildUsageSeries(items, granularity, range))
+    stream.write(formatExportRows(rows, format, { header: index === 0 }))
+  }
+
+  if (apiKeys.length === 0) {
+    stream.write(formatExportRows([], format))
+  }
+
+  if (output) {
+    await new Promise((resolve, reject) => stream.end(error => error ? reject(error) : resolve()))
+    console.error(`✅ Wrote ${output}`)
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Error:', error.message)
+    process.exit(1)
+  })
+}
@@ -5,9 +5,10 @@
 const {
   AthenaClient,
   StartQueryExecutionCommand,
-  GetQueryExecutionCommand,
-  GetQueryResultsCommand
+  GetQueryExecutionCommand
 } = require('@aws-sdk/client-athena')
+const { getAllResultRows } = require('../src/lib/athena')
+const { assertDate, assertPath, sqlString } = require('../src/lib/validation')
 
 const athena = new AthenaClient({ region: 'us-east-1' })
 
@@ -47,13 +48,18 @@ function parseArgs() {
 
 /**
  * Build query for path-based usage
+ * @returns {{query: string, parameters: string[]}}
  */
 function buildPathUsageQuery(year, month, day, pathFilter = null) {
   const pathCondition = pathFilter
-    ? `AND cs_uri_stem = '${pathFilter}'`
+    ? 'AND cs_uri_stem = ?'
     : ''
+  const parameters = [sqlString(`${year}-${month}-${day}`)]
+  if (pathFilter) {
+    parameters.push(sqlString(pathFilter))
+  }
 
-  return `
+  const query = `
     SELECT
       cs_uri_stem as path,
       COUNT(*) as requests,
@@ -67,17 +73,21 @@ function buildPathUsageQuery(year, month, day, pathFilter = null) {
       COUNT(DISTINCT c_ip) as unique_ips,
       array_join(array_agg(DISTINCT cs_method), ', ') as methods
     FROM cloudfront_logs
-    WHERE date = DATE '${year}-${month}-${day}'
+    WHERE date = CAST(? AS DATE)
       ${pathCondition}
     GROUP BY cs_uri_stem
     ORDER BY requests DESC
   `
+
+  return { query, parameters }
 }
 
 /**
  * Execute Athena query
+ * @param {string} query - SQL with a `?` placeholder for every value
+ * @param {string[]} parameters - ExecutionParameters, in placeholder order
  */
-async function executeQuery(query) {
+async function executeQuery(query, parameters = []) {
   const startTime = Date.now()
 
   // Start query execution
@@ -88,7 +98,8 @@ async function executeQuery(query) {
     },
     ResultConfiguration: {
       OutputLocation: ATHENA_OUTPUT_BUCKET
-    }
+    },
+    ExecutionParameters: parameters.length > 0 ? parameters : undefined
   })
 
   const startResponse = await athena.send(startCommand)
@@ -121,12 +132,8 @@ async function executeQuery(query) {
 
   const totalTime = Date.now() - startTime
 
-  // Get query results
-  const resultsCommand = new GetQueryResultsCommand({
-    QueryExecutionId: queryExecutionId
-  })
-
-  const resultsResponse = await athena.send(resultsCommand)
+  // Get query results (every page)
+  const rows = await getAllResultRows(queryExecutionId)
 
   // Display query statistics
   const stats = executionDetails.Statistics
@@ -136,7 +143,7 @@ async function executeQuery(query) {
   console.log(`   Total Time: ${totalTime}ms`)
   console.log(`   Estimated Cost: $${(stats.DataScannedInBytes / 1024 / 1024 / 1024 / 1024 * 5).toFixed(4)}`)
 
-  return resultsResponse.ResultSet
+  return { Rows: rows }
 }
 
 /**
@@ -190,16 +197,21 @@ async function main() {
   console.log('')
 
   // Parse date into components
-  const [year, monthStr, dayStr] = options.date.split('-')
-  const month = monthStr.padStart(2, '0')
-  const day = dayStr.padStart(2, '0')
+  let year, month, day
+  try {
+    [year, month, day] = assertDate(options.date).split('-')
+    if (options.path) assertPath(options.path)
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    process.exit(1)
+  }
 
   // Build and execute query
   console.log('🔍 Executing Athena query...')
-  const query = buildPathUsageQuery(year, month, day, options.path)
+  const { query, parameters } = buildPathUsageQuery(year, month, day, options.path)
 
   try {
-    const resultSet = await executeQuery(query)
+    const resultSet = await executeQuery(query, parameters)
     displayResults(resultSet)
   } catch (error) {
     console.error('\n❌ Query failed:', error.message)
@@ -13,9 +13,14 @@
 const {
   AthenaClient,
   StartQueryExecutionCommand,
-  GetQueryExecutionCommand,
-  GetQueryResultsCommand
+  GetQueryExecutionCommand
 } = require('@aws-sdk/client-athena')
+const { getAllResultRows } = require('../src/lib/athena')
+const { assertDate, assertIdentifier, sqlString } = require('../src/lib/validation')
+const { getPricingForDate } = require('../src/lib/pricing')
+const { buildBillingQuery, buildCacheDiscountQuery } = require('../src/lib/billing-queries')
+const { buildEventDayFilter } = require('../src/lib/event-time')
+const { toKeyId } = require('../src/lib/api-keys')
 
 const athena = new AthenaClient({ region: 'us-east-1' })
 
@@ -51,8 +56,10 @@ async function waitForQueryResults(queryExecutionId, maxAttempts = 60) {
 
 /**
  * Execute Athena query and return results
+ * @param {string} query - SQL with a `?` placeholder for every value
+ * @param {string[]} parameters - ExecutionParameters, in placeholder order
  */
-async function executeAthenaQuery(query) {
+async function executeAthenaQuery(query, parameters = []) {
   console.log('\n🔍 Executing Athena query...')
 
   const queryExecution = await athena.send(
@@ -60,6 +67,7 @@ async function executeAthenaQuery(query) {
       QueryString: query,
       QueryExecutionContext: { Database: ATHENA_DATABASE },
       ResultConfiguration: { OutputLocation: ATHENA_OUTPUT_BUCKET },
+      ExecutionParameters: parameters.length > 0 ? parameters : undefined,
     })
   )
 
@@ -76,11 +84,8 @@ async function executeAthenaQuery(query) {
   console.log(`   Total Time: ${stats.TotalExecutionTimeInMillis}ms`)
   console.log(`   Estimated Cost: $${(stats.DataScannedInBytes / 1024 / 1024 / 1024 / 1024 * 5).toFixed(4)}`)
 
-  const results = await athena.send(
-    new GetQueryResultsCommand({ QueryExecutionId: queryExecutionId })
-  )
-
-  return results.ResultSet.Rows
+  // Read every page so large days are not cut off at the first 1000 rows
+  return getAllResultRows(queryExecutionId)
 }
 
 /**
@@ -122,13 +127,19 @@ function formatTable(rows) {
 
 /**
  * Build daily usage query
+ * @returns {{query: string, parameters: string[]}}
  */
-function buildDailyUsageQuery(year, month, day, apiKeyFilter = null) {
+function buildDailyUsageQuery(date, apiKeyFilter = null) {
   const apiKeyCondition = apiKeyFilter
-    ? `AND api_key = '${apiKeyFilter}'`
+    ? 'AND api_key = ?'
     : ''
+  const eventDay = buildEventDayFilter(date)
+  const parameters = [...eventDay.parameters]
+  if (apiKeyFilter) {
+    parameters.push(sqlString(assertIdentifier(apiKeyFilter, 'api key')))
+  }
 
-  return `
+  const query = `
     WITH api_key_logs AS (
       SELECT
         api_key,
@@ -139,9 +150,7 @@ function buildDailyUsageQuery(year, month, day, apiKeyFilter = null) {
         c_country,
         x_edge_result_type
       FROM cloudfront_realtime_logs
-      WHERE year = '${year}'
-        AND month = '${month}'
-        AND day = '${day}'
+      WHERE ${eventDay.sql}
         AND api_key IS NOT NULL
         ${apiKeyCondition}
     )
@@ -160,73 +169,8 @@ function buildDailyUsageQuery(year, month, day, apiKeyFilter = null) {
     GROUP BY api_key
     ORDER BY requests DESC
   `
-}
 
-/**
- * Build billing query
- */
-function buildBillingQuery(year, month, day) {
-  return `
-    WITH usage_metrics AS (
-      SELECT
-        url_decode(regexp_extract(cs_headers, 'X-Api-Key:([^%]+)', 1)) as api_key,
-        COUNT(*) as total_requests,
-        SUM(sc_bytes) as total_bytes
-      FROM cloudfront_realtime_logs
-      WHERE year = '${year}'
-        AND month = '${month}'
-        AND day = '${day}'
-        AND cs_headers LIKE '%X-Api-Key:%'
-      GROUP BY url_decode(regexp_extract(cs_headers, 'X-Api-Key:([^%]+)', 1))
-    )
-    SELECT
-      api_key,
-      total_requests,
-      ROUND(total_bytes / 1024.0 / 1024.0 / 1024.0, 4) as total_gb,
-      ROUND(total_requests * 0.0001, 4) as request_cost,
-      ROUND((total_bytes / 1024.0 / 1024.0 / 1024.0) * 0.085, 4) as bandwidth_cost,
-      ROUND((total_requests * 0.0001) + ((total_bytes / 1024.0 / 1024.0 / 1024.0) * 0.085), 4) as total_cost
-    FROM usage_metrics
-    ORDER BY total_cost DESC
-  `
-}
-
-/**
- * Build cache discount query
- */
-function buildCacheDiscountQuery(year, month, day) {
-  return `
-    WITH cache_metrics AS (
-      SELECT
-        url_decode(regexp_extract(cs_headers, 'X-Api-Key:([^%]+)', 1)) as api_key,
-        x_edge_result_type,
-        COUNT(*) as requests,
-        SUM(sc_bytes) / 1024.0 / 1024.0 / 1024.0 as gb_transferred,
-        CASE x_edge_result_type
-          WHEN 'Hit' THEN 0.050
-          WHEN 'RefreshHit' THEN 0.050
-          WHEN 'Miss' THEN 0.085
-          ELSE 0.085
-        END as price_per_gb
-      FROM cloudfront_realtime_logs
-      WHERE year = '${year}'
-        AND month = '${month}'
-        AND day = '${day}'
-        AND cs_headers LIKE '%X-Api-Key:%'
-      GROUP BY
-        url_decode(regexp_extract(cs_headers, 'X-Api-Key:([^%]+)', 1)),
-        x_edge_result_type
-    )
-    SELECT
-      api_key,
-      SUM(requests) as total_requests,
-      ROUND(SUM(gb_transferred), 4) as total_gb,
-      ROUND(SUM(gb_transferred * price_per_gb), 4) as total_cost,
-      ROUND(SUM(CASE WHEN x_edge_result_type IN ('Hit', 'RefreshHit') THEN requests ELSE 0 END) * 100.0 / SUM(requests), 2) as cache_hit_rate
-    FROM cache_metrics
-    GROUP BY api_key
-    ORDER BY total_cost DESC
-  `
+  return { query, parameters }
 }
 
 /**
@@ -261,31 +205,41 @@ async function main() {
     date = yesterday.toISOString().split('T')[0]
   }
 
-  const [year, month, day] = date.split('-')
+  try {
+    assertDate(date)
+    // The logs hold key identifiers, a raw key is hashed with API_KEY_HASH_SECRET
+    if (apiKey) apiKey = assertIdentifier(toKeyId(apiKey), 'api key')
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    process.exit(1)
+  }
 
   console.log('🚀 CloudFront Usage Query Tool')
   console.log('================================')
   console.log(`📅 Date: ${date}`)
-  console.log(`🔑 API Key Filter: ${apiKey || 'All'}`)
+  console.log(`🔑 API Key ID Filter: ${apiKey || 'All'}`)
   console.log(`📊 Query Type: ${queryType}`)
+  if (queryType !== 'daily_usage') {
+    console.log(`💲 Pricing Version: ${getPricingForDate(date).version}`)
+  }
 
-  let query
+  let built
 
   switch (queryType) {
     case 'billing':
-      query = buildBillingQuery(year, month, day)
+      built = buildBillingQuery(date, getPricingForDate(date))
       break
     case 'cache_discount':
-      query = buildCacheDiscountQuery(year, month, day)
+      built = buildCacheDiscountQuery(date, getPricingForDate(date))
       break
     case 'daily_usage':
     default:
-      query = buildDailyUsageQuery(year, month, day, apiKey)
+      built = buildDailyUsageQuery(date, apiKey)
       break
   }
 
   try {
-    const rows = await executeAthenaQuery(query)
+    const rows = await executeAthenaQuery(built.query, built.parameters)
     formatTable(rows)
   } catch (error) {
     console.error('\n❌ Error:', error.message)
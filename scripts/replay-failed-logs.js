@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+
+// ABOUTME: Script to replay real-time log records the Firehose transform failed on
+// ABOUTME: Reads error objects from a local directory or S3, re-runs the current transform and emits recovered NDJSON
+
+const fs = require('fs')
+const path = require('path')
+const {
+  S3Client,
+  ListObjectsV2Command,
+  GetObjectCommand
+} = require('@aws-sdk/client-s3')
+const { parseTsvToJson } = require('../src/lib/realtime-logs')
+const { QUARANTINE_PREFIX, getReasonCode, readErrorObject } = require('../src/lib/transform-errors')
+const { assertDate } = require('../src/lib/validation')
+
+const s3 = new S3Client({ region: 'us-east-1' })
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2)
+  const options = {
+    dir: null,
+    bucket: null,
+    prefix: QUARANTINE_PREFIX,
+    date: null,
+    output: null,
+    stage: 'dev'
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].replace(/^--/, '')
+
+    if (args[i].startsWith('--') && name in options && args[i + 1]) {
+      options[name] = args[i + 1]
+      i++
+    }
+  }
+
+  return options
+}
+
+/**
+ * Get AWS account ID
+ */
+async function getAccountId() {
+  const { STSClient, GetCallerIdentityCommand } = require('@aws-sdk/client-sts')
+  const sts = new STSClient({ region: 'us-east-1' })
+  const response = await sts.send(new GetCallerIdentityCommand({}))
+  return response.Account
+}
+
+/**
+ * Read every file below a local directory, e.g. an `aws s3 sync` of the error prefix
+ */
+async function * readLocalObjects(dir) {
+  const files = fs.readdirSync(dir, { recursive: true })
+    .map(file => path.join(dir, file))
+    .filter(file => fs.statSync(file).isFile())
+    .sort()
+
+  for (const file of files) {
+    yield { name: file, text: fs.readFileSync(file, 'utf-8') }
+  }
+}
+
+/**
+ * Read every object below an S3 prefix, following every listing page
+ */
+async function * readS3Objects(bucket, prefix) {
+  let continuationToken
+
+  do {
+    const page = await s3.send(
+      new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken: continuationToken })
+    )
+
+    for (const object of page.Contents || []) {
+      const response = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: object.Key }))
+      yield { name: `s3://${bucket}/${object.Key}`, text: await response.Body.transformToString() }
+    }
+
+    continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined
+  } while (continuationToken)
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { dir, bucket, date, output, stage, ...options } = parseArgs()
+  let prefix = options.prefix
+
+  if (date) {
+    const [year, month, day] = assertDate(date).split('-')
+    prefix = `${prefix}year=${year}/month=${month}/day=${day}/`
+  }
+
+  let objects
+  if (dir) {
+    objects = readLocalObjects(dir)
+    console.error(`📂 Replaying failed records from ${dir}`)
+  } else {
+    const bucketName = bucket || process.env.REALTIME_LOGS_BUCKET ||
+      `usage-billing-api-${stage}-cloudfront-realtime-logs-${await getAccountId()}`
+    objects = readS3Objects(bucketName, prefix)
+    console.error(`☁️  Replaying failed records from s3://${bucketName}/${prefix}`)
+  }
+
+  const stream = output ? fs.createWriteStream(output) : process.stdout
+  const entriesByPayload = new Map()
+  const stillFailing = {}
+  let recovered = 0
+  let duplicates = 0
+  let withoutKeyId = 0
+
+  for await (const object of objects) {
+    let entries
+    try {
+      entries = readErrorObject(object.text)
+    } catch (error) {
+      console.error(`⚠️  Skipping ${object.name}: ${error.message}`)
+      continue
+    }
+
+    for (const entry of entries) {
+      // A record can be in both the quarantine and the Firehose processing-failed output,
+      // the copy that has a key identifier is kept
+      const known = entriesByPayload.get(entry.payload)
+      if (known) {
+        duplicates++
+        if (!known.apiKey && entry.apiKey) {
+          entriesByPayload.set(entry.payload, entry)
+        }
+        continue
+      }
+      entriesByPayload.set(entry.payload, entry)
+    }
+  }
+
+  for (const entry of entriesByPayload.values()) {
+    // The key was scrubbed before it could be hashed, only the processing-failed copy still has it
+    if (entry.apiKeySource && !entry.apiKey) {
+      withoutKeyId++
+      continue
+    }
+
+    try {
+      const tsv = Buffer.from(entry.payload, 'base64').toString('utf-8').trim()
+      const record = parseTsvToJson(tsv)
+
+      // Scrubbed payloads hold REDACTED in place of the key, the identifier comes from the error object
+      record.api_key = entry.apiKey
+      record.api_key_source = entry.apiKeySource
+
+      stream.write(JSON.stringify(record) + '\n')
+      recovered++
+    } catch (error) {
+      const reason = getReasonCode(error)
+      stillFailing[reason] = (stillFailing[reason] || 0) + 1
+    }
+  }
+
+  if (output) {
+    await new Promise((resolve, reject) => stream.end(error => error ? reject(error) : resolve()))
+  }
+
+  // Summary goes to stderr so the recovered records can be piped from stdout
+  console.error(`✅ Recovered ${recovered} records${output ? ` to ${output}` : ''}`)
+  if (duplicates > 0) {
+    console.error(`   Skipped ${duplicates} duplicate records`)
+  }
+  if (withoutKeyId > 0) {
+    console.error(`⚠️  Skipped ${withoutKeyId} records quarantined without a key identifier, replay realtime-logs-errors/processing-failed/ to recover them`)
+  }
+  for (const [reason, count] of Object.entries(stillFailing)) {
+    console.error(`❌ Still failing (${reason}): ${count}`)
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Error:', error.message)
+    process.exit(1)
+  })
+}
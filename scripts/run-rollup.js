@@ -4,6 +4,7 @@
 // ABOUTME: Allows triggering rollup without waiting for the cron schedule
 
 const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda')
+const { assertDate } = require('../src/lib/validation')
 
 const lambda = new LambdaClient({ region: 'us-east-1' })
 
@@ -13,50 +14,69 @@ const lambda = new LambdaClient({ region: 'us-east-1' })
 function parseArgs() {
   const args = process.argv.slice(2)
   let date = null
+  let startDate = null
+  let endDate = null
+  let force = false
+  let reconcile = false
+  let lookbackDays = null
+  let concurrency = null
   let queryType = 'daily_usage'
+  let granularity = 'day'
   let stage = 'dev'
 
   for (let i = 0; i < args.length; i++) {
     if (args[i] === '--date' && args[i + 1]) {
       date = args[i + 1]
       i++
+    } else if (args[i] === '--start-date' && args[i + 1]) {
+      startDate = args[i + 1]
+      i++
+    } else if (args[i] === '--end-date' && args[i + 1]) {
+      endDate = args[i + 1]
+      i++
+    } else if (args[i] === '--concurrency' && args[i + 1]) {
+      concurrency = parseInt(args[i + 1], 10)
+      i++
+    } else if (args[i] === '--force') {
+      force = true
+    } else if (args[i] === '--reconcile') {
+      reconcile = true
+    } else if (args[i] === '--lookback-days' && args[i + 1]) {
+      lookbackDays = parseInt(args[i + 1], 10)
+      i++
     } else if (args[i] === '--query-type' && args[i + 1]) {
       queryType = args[i + 1]
       i++
+    } else if (args[i] === '--granularity' && args[i + 1]) {
+      granularity = args[i + 1]
+      i++
     } else if (args[i] === '--stage' && args[i + 1]) {
       stage = args[i + 1]
       i++
     }
   }
 
-  // Default to yesterday if no date provided
-  if (!date) {
+  // Default to yesterday if no date or range provided
+  if (!date && !startDate && !endDate) {
     const yesterday = new Date()
     yesterday.setDate(yesterday.getDate() - 1)
     date = yesterday.toISOString().split('T')[0]
   }
 
-  return { date, queryType, stage }
+  return { date, startDate, endDate, force, reconcile, lookbackDays, concurrency, queryType, granularity, stage }
 }
 
 /**
- * Invoke the rollup Lambda function
+ * Invoke the rollup Lambda function with a payload and return the parsed response body
  */
-async function invokeRollup(date, queryType, stage) {
+async function invokeFunction(payload, stage) {
   const functionName = `usage-billing-api-${stage}-rollupUsage`
 
   console.log('🚀 Invoking rollup function')
   console.log('===========================')
   console.log(`📦 Function: ${functionName}`)
-  console.log(`📅 Date: ${date}`)
-  console.log(`📊 Query Type: ${queryType}`)
   console.log('')
 
-  const payload = {
-    date,
-    queryType
-  }
-
   try {
     const response = await lambda.send(
       new InvokeCommand({
@@ -81,25 +101,7 @@ async function invokeRollup(date, queryType, stage) {
       body = JSON.parse(result.body)
     }
 
-    console.log('✅ Rollup completed successfully')
-    console.log('')
-    console.log('📊 Results:')
-    console.log(`   API Keys Processed: ${body.apiKeysProcessed || 0}`)
-    console.log(`   Date: ${body.date}`)
-    console.log(`   Timestamp: ${body.timestamp}`)
-    console.log(`   Query Type: ${body.queryType}`)
-    console.log('')
-
-    if (body.results && body.results.length > 0) {
-      console.log('📈 Sample Results (first 10):')
-      body.results.forEach((row, idx) => {
-        console.log(`   ${idx + 1}. ${row.join(' | ')}`)
-      })
-    }
-
-    console.log('')
-    console.log('💾 Full results stored in DynamoDB')
-
+    return body
   } catch (error) {
     console.error('❌ Error invoking function:', error.message)
 
@@ -113,21 +115,163 @@ async function invokeRollup(date, queryType, stage) {
   }
 }
 
+/**
+ * Invoke the rollup Lambda function for a single date
+ */
+async function invokeRollup(date, queryType, stage, granularity = 'day') {
+  console.log(`📅 Date: ${date}`)
+  console.log(`📊 Query Type: ${queryType}`)
+  console.log(`⏱️  Granularity: ${granularity}`)
+
+  const body = await invokeFunction({ date, queryType, granularity }, stage)
+
+  console.log('✅ Rollup completed successfully')
+  console.log('')
+  console.log('📊 Results:')
+  console.log(`   API Keys Processed: ${body.apiKeysProcessed || 0}`)
+  console.log(`   Date: ${body.date}`)
+  console.log(`   Timestamp: ${body.timestamp}`)
+  console.log(`   Query Type: ${body.queryType}`)
+  console.log(`   Granularity: ${body.granularity}`)
+  console.log(`   Run ID: ${body.runId}`)
+  console.log('')
+
+  if (body.results && body.results.length > 0) {
+    console.log('📈 Sample Results (first 10):')
+    body.results.forEach((row, idx) => {
+      console.log(`   ${idx + 1}. ${row.join(' | ')}`)
+    })
+  }
+
+  console.log('')
+  console.log('💾 Full results stored in DynamoDB')
+}
+
+/**
+ * Invoke the rollup Lambda function for a date range (backfill)
+ */
+async function invokeBackfill({ startDate, endDate, force, concurrency }, queryType, stage, granularity = 'day') {
+  console.log(`📅 Date Range: ${startDate} to ${endDate}`)
+  console.log(`📊 Query Type: ${queryType}`)
+  console.log(`⏱️  Granularity: ${granularity}`)
+  console.log(`🔁 Force: ${force}`)
+
+  const payload = { startDate, endDate, queryType, granularity, force }
+  if (concurrency) {
+    payload.concurrency = concurrency
+  }
+
+  // Each invocation runs the days that fit in the Lambda timeout and defers the rest
+  const days = []
+  let body
+  do {
+    body = await invokeFunction(payload, stage)
+    days.push(...body.days.filter(day => day.status !== 'deferred'))
+
+    if (body.nextStartDate) {
+      console.log(`⏭️  Continuing from ${body.nextStartDate}`)
+      payload.startDate = body.nextStartDate
+    }
+  } while (body.nextStartDate)
+
+  const count = status => days.filter(day => day.status === status).length
+  const failed = count('failed')
+
+  console.log(failed > 0 ? '⚠️  Backfill finished with failures' : '✅ Backfill completed successfully')
+  console.log('')
+  console.log(`📊 Completed: ${count('completed')}  Skipped: ${count('skipped')}  Failed: ${failed}`)
+  console.log('')
+
+  days.forEach(day => {
+    const detail = day.status === 'failed'
+      ? day.error
+      : `${day.rowsWritten || 0} rows written`
+    console.log(`   ${day.date}  ${day.status.padEnd(9)} ${detail}`)
+  })
+
+  if (failed > 0) {
+    process.exit(1)
+  }
+}
+
+/**
+ * Invoke a reconciliation pass that re-runs rollups of days with late-arriving records
+ */
+async function invokeReconcile(lookbackDays, stage) {
+  console.log(`🔎 Reconciling the last ${lookbackDays || 'default number of'} days`)
+
+  const payload = { reconcile: true }
+  if (lookbackDays) {
+    payload.lookbackDays = lookbackDays
+  }
+
+  const body = await invokeFunction(payload, stage)
+
+  console.log(body.failed > 0 ? '⚠️  Reconciliation finished with failures' : '✅ Reconciliation completed successfully')
+  console.log('')
+  console.log(`📊 Reconciled: ${body.reconciled}  Unchanged: ${body.unchanged}  Failed: ${body.failed}`)
+  console.log('')
+
+  body.days.forEach(day => {
+    const detail = day.status === 'failed'
+      ? day.error
+      : `${day.recordedRequests ?? '-'} rolled up, ${day.currentRequests} now`
+    console.log(`   ${day.date}  ${day.status.padEnd(13)} ${detail}`)
+  })
+
+  if (body.failed > 0) {
+    process.exit(1)
+  }
+}
+
 /**
  * Main function
  */
 async function main() {
-  const { date, queryType, stage } = parseArgs()
+  const { date, startDate, endDate, force, reconcile, lookbackDays, concurrency, queryType, granularity, stage } = parseArgs()
+
+  if (reconcile) {
+    await invokeReconcile(lookbackDays, stage)
+    return
+  }
 
   // Validate query type
-  const validQueryTypes = ['daily_usage', 'billing', 'cache_discount']
+  const validQueryTypes = ['daily_usage', 'billing', 'cache_discount', 'endpoint_usage']
   if (!validQueryTypes.includes(queryType)) {
     console.error(`❌ Invalid query type: ${queryType}`)
     console.error(`   Valid types: ${validQueryTypes.join(', ')}`)
     process.exit(1)
   }
 
-  await invokeRollup(date, queryType, stage)
+  // Validate dates before anything reaches the Lambda
+  try {
+    if (date) assertDate(date)
+    if (startDate) assertDate(startDate, 'start date')
+    if (endDate) assertDate(endDate, 'end date')
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    process.exit(1)
+  }
+
+  // Validate granularity
+  const validGranularities = ['day', 'hour']
+  if (!validGranularities.includes(granularity)) {
+    console.error(`❌ Invalid granularity: ${granularity}`)
+    console.error(`   Valid granularities: ${validGranularities.join(', ')}`)
+    process.exit(1)
+  }
+
+  if (startDate || endDate) {
+    if (!startDate || !endDate) {
+      console.error('❌ Both --start-date and --end-date are required for a backfill')
+      process.exit(1)
+    }
+
+    await invokeBackfill({ startDate, endDate, force, concurrency }, queryType, stage, granularity)
+    return
+  }
+
+  await invokeRollup(date, queryType, stage, granularity)
 }
 
 // Run if called directly
@@ -138,4 +282,4 @@ if (require.main === module) {
   })
 }
 
-module.exports = { invokeRollup }
+module.exports = { invokeRollup, invokeBackfill, invokeReconcile }
@@ -3,11 +3,10 @@
  * Demonstrates a POST endpoint with API key tracking
  */
 
-module.exports.handler = async (event) => {
-  console.log('Event:', JSON.stringify(event, null, 2));
+const { getQuotaHeaders } = require('../lib/quota');
 
-  // Extract API key from the request context
-  const apiKey = event.requestContext?.identity?.apiKey || 'unknown';
+module.exports.handler = async (event) => {
+  // The raw API key (identity and x-api-key header) is a credential and is never logged
   const apiKeyId = event.requestContext?.identity?.apiKeyId || 'unknown';
 
   // Parse request body
@@ -20,7 +19,6 @@ module.exports.handler = async (event) => {
 
   // Log usage information
   console.log('API Usage:', {
-    apiKey,
     apiKeyId,
     timestamp: new Date().toISOString(),
     path: event.path,
@@ -30,11 +28,15 @@ module.exports.handler = async (event) => {
     requestSize: event.body ? event.body.length : 0,
   });
 
+  // Quota of the API Gateway usage plan, from stored usage
+  const quotaHeaders = await getQuotaHeaders(event.requestContext?.identity?.apiKey);
+
   return {
     statusCode: 200,
     headers: {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': '*',
+      ...quotaHeaders,
     },
     body: JSON.stringify({
       message: 'Data received successfully',
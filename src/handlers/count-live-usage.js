@@ -0,0 +1,44 @@
+/**
+ * Live usage Lambda function
+ * Consumes CloudFront real-time log records from the Kinesis stream and increments provisional
+ * per-key, per-hour counters, so /usage includes traffic the rollups have not processed yet
+ */
+
+const { parseTsvToJson } = require('../lib/realtime-logs')
+const { aggregateLiveRecords, getBatchPosition, incrementLiveCounters } = require('../lib/live-usage')
+
+/**
+ * Main handler function
+ */
+module.exports.handler = async (event) => {
+  console.log('Received Kinesis records:', event.Records.length)
+
+  const records = []
+  let failed = 0
+
+  for (const record of event.Records) {
+    try {
+      const tsvData = Buffer.from(record.kinesis.data, 'base64').toString('utf-8').trim()
+      if (tsvData) {
+        records.push(parseTsvToJson(tsvData))
+      }
+    } catch (error) {
+      // Unparseable records are left to the Firehose transformation's error output
+      console.error('Error parsing record:', record.kinesis.sequenceNumber, error.message)
+      failed++
+    }
+  }
+
+  const aggregates = aggregateLiveRecords(records)
+  const skipped = await incrementLiveCounters(aggregates, getBatchPosition(event.Records))
+
+  const summary = {
+    recordsCounted: aggregates.reduce((sum, aggregate) => sum + aggregate.counters.request_count, 0),
+    countersUpdated: aggregates.length - skipped,
+    countersSkipped: skipped,
+    failed
+  }
+  console.log('Live usage counted:', summary)
+
+  return summary
+}
@@ -3,16 +3,14 @@
  * This endpoint requires an API key and logs usage information
  */
 
-module.exports.handler = async (event) => {
-  console.log('Event:', JSON.stringify(event, null, 2));
+const { getQuotaHeaders } = require('../lib/quota');
 
-  // Extract API key from the request context
-  const apiKey = event.requestContext?.identity?.apiKey || 'unknown';
+module.exports.handler = async (event) => {
+  // The raw API key (identity and x-api-key header) is a credential and is never logged
   const apiKeyId = event.requestContext?.identity?.apiKeyId || 'unknown';
 
   // Log usage information
   console.log('API Usage:', {
-    apiKey,
     apiKeyId,
     timestamp: new Date().toISOString(),
     path: event.path,
@@ -21,11 +19,15 @@ module.exports.handler = async (event) => {
     userAgent: event.requestContext?.identity?.userAgent,
   });
 
+  // Quota of the API Gateway usage plan, from stored usage
+  const quotaHeaders = await getQuotaHeaders(event.requestContext?.identity?.apiKey);
+
   return {
     statusCode: 200,
     headers: {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': '*',
+      ...quotaHeaders,
     },
     body: JSON.stringify({
       message: 'Example endpoint response',
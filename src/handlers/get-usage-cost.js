@@ -0,0 +1,103 @@
+/**
+ * Get the cost of an API key's usage
+ * Prices the stored daily usage of a billing period with the tiers the invoice uses (the customer's
+ * plan, or the pricing catalog for keys without one) and returns line items per metric tier, with
+ * bandwidth per region and cache discounts as a breakdown.
+ * Callers read their own key's cost (or their customer's keys); see lib/authorization
+ */
+
+const { queryUsageItems } = require('../lib/dynamodb')
+const { authorizeApiKey } = require('../lib/authorization')
+const { getCustomer } = require('../lib/customers')
+const { getPlan, getBillingTiers } = require('../lib/plans')
+const { getPricingForMonth } = require('../lib/pricing')
+const { resolveUsageRange } = require('../lib/usage-range')
+const { resolveCostPeriod, calculateUsageCost } = require('../lib/usage-cost')
+
+const USAGE_METRICS_TABLE = process.env.USAGE_METRICS_TABLE
+
+/**
+ * Build a JSON API Gateway response
+ */
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+    },
+    body: JSON.stringify(body),
+  }
+}
+
+/**
+ * Main handler function
+ */
+module.exports.handler = async (event) => {
+  // API keys are never logged, the request identity carries the caller's key
+  console.log('Get usage cost request:', JSON.stringify({
+    requestId: event.requestContext?.requestId,
+    apiKeyId: event.requestContext?.identity?.apiKeyId,
+    date: event.queryStringParameters?.date,
+    month: event.queryStringParameters?.month,
+    from: event.queryStringParameters?.from,
+    to: event.queryStringParameters?.to,
+  }))
+
+  try {
+    const authorization = await authorizeApiKey(event, event.queryStringParameters?.api_key)
+    if (authorization.error) {
+      return jsonResponse(authorization.statusCode, { error: authorization.error })
+    }
+    const apiKey = authorization.apiKey
+
+    const range = resolveUsageRange(event.queryStringParameters || {})
+    if (range.error) {
+      return jsonResponse(400, { error: range.error })
+    }
+
+    // Costs are priced from daily items, hours have no bandwidth breakdown
+    if (range.hourly) {
+      return jsonResponse(400, { error: 'Costs are available for month and day ranges only' })
+    }
+
+    const customer = await getCustomer(apiKey)
+    const period = resolveCostPeriod(range, customer ? customer.billingAnchorDay : 1)
+    if (period.error) {
+      return jsonResponse(400, { error: period.error })
+    }
+
+    // Tiers apply to the usage of the whole period so far, not only to the requested days
+    const items = await queryUsageItems(USAGE_METRICS_TABLE, apiKey, {
+      startKey: `${period.start}T00:00:00Z`,
+      endKey: `${period.pricedThrough}T00:00:00Z`,
+    })
+    const pricing = getPricingForMonth(period.month)
+    const plan = customer ? getPlan(customer.planId) : null
+    const cost = calculateUsageCost(items, pricing, getBillingTiers(pricing, plan))
+
+    return jsonResponse(200, {
+      apiKey,
+      ...(range.datePrefix ? { datePrefix: range.datePrefix } : { from: range.from, to: range.to }),
+      customerId: customer?.customerId,
+      planId: customer?.planId,
+      billingPeriod: { start: period.start, end: period.end },
+      pricedThrough: period.pricedThrough,
+      currency: 'USD',
+      pricingVersion: cost.pricing_version,
+      usage: cost.usage,
+      lineItems: cost.line_items,
+      subtotalsUsd: cost.subtotals_usd,
+      totalUsd: cost.total_usd,
+      breakdown: cost.breakdown,
+      records: items.length,
+    })
+  } catch (error) {
+    console.error('Error fetching usage cost:', error)
+
+    return jsonResponse(500, {
+      error: 'Failed to fetch usage cost',
+      message: error.message,
+    })
+  }
+}
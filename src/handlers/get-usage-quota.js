@@ -0,0 +1,53 @@
+/**
+ * Get the quota status of an API key
+ * Compares stored usage with the quota of the API Gateway usage plan: requests used and
+ * remaining in the current period, when the quota resets and when it is projected to run out.
+ * Callers read their own key's quota (or their customer's keys); see lib/authorization
+ */
+
+const { authorizeApiKey } = require('../lib/authorization')
+const { getQuotaStatus, buildQuotaHeaders } = require('../lib/quota')
+
+/**
+ * Build a JSON API Gateway response
+ */
+function jsonResponse(statusCode, body, headers = {}) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      ...headers,
+    },
+    body: JSON.stringify(body),
+  }
+}
+
+/**
+ * Main handler function
+ */
+module.exports.handler = async (event) => {
+  // API keys are never logged, the request identity carries the caller's key
+  console.log('Get usage quota request:', JSON.stringify({
+    requestId: event.requestContext?.requestId,
+    apiKeyId: event.requestContext?.identity?.apiKeyId,
+  }))
+
+  try {
+    const authorization = await authorizeApiKey(event, event.queryStringParameters?.api_key)
+    if (authorization.error) {
+      return jsonResponse(authorization.statusCode, { error: authorization.error })
+    }
+
+    const status = await getQuotaStatus(authorization.apiKey)
+
+    return jsonResponse(200, { apiKey: authorization.apiKey, ...status }, buildQuotaHeaders(status))
+  } catch (error) {
+    console.error('Error fetching usage quota:', error)
+
+    return jsonResponse(500, {
+      error: 'Failed to fetch usage quota',
+      message: error.message,
+    })
+  }
+}
@@ -1,97 +1,245 @@
 /**
  * Get usage metrics for an API key
- * This endpoint can be used to fetch billing data for a specific API key and date range
+ * This endpoint can be used to fetch billing data for a specific API key and date range.
+ * Keys assigned to a customer also get their plan allowance for the billing period.
+ * Traffic the rollups have not processed yet is included from provisional live counters.
+ * Callers read their own key's usage (or their customer's keys); see lib/authorization
  */
 
-const { DynamoDBClient, QueryCommand } = require('@aws-sdk/client-dynamodb');
+const { queryAll, queryUsageItems } = require('../lib/dynamodb');
+const { getCustomer } = require('../lib/customers');
+const { authorizeApiKey } = require('../lib/authorization');
+const { getPlan, getBillingPeriod, summarizeAllowance } = require('../lib/plans');
+const { summarizeMonthlyUsage } = require('../lib/monthly-charges');
+const { GRANULARITIES, summarizeUsageItems, summarizeRegions, buildUsageSeries } = require('../lib/usage-summary');
+const { MAX_RANGE_HOURS, resolveUsageRange } = require('../lib/usage-range');
+const { getProvisionalItems } = require('../lib/live-usage');
+const { CONTENT_TYPES, resolveExportFormat, buildExportRows, formatExportRows } = require('../lib/usage-export');
 
-const dynamodb = new DynamoDBClient();
 const USAGE_METRICS_TABLE = process.env.USAGE_METRICS_TABLE;
+const HOURLY_USAGE_METRICS_TABLE = process.env.HOURLY_USAGE_METRICS_TABLE;
+const ENDPOINT_USAGE_TABLE = process.env.ENDPOINT_USAGE_TABLE;
+
+const GROUP_BY_OPTIONS = ['endpoint', 'region'];
 
 /**
- * Query usage for an API key by date range
- * Supports querying by month (YYYY-MM), day (YYYY-MM-DD), or hour (YYYY-MM-DDTHH)
+ * Query usage for an API key over a date range
+ * Ranges come from a month (YYYY-MM), day (YYYY-MM-DD) or hour (YYYY-MM-DDTHH) prefix or from/to,
+ * and are read with a BETWEEN key condition, following every page of results.
+ * Periods without a rollup item yet are filled from the live counters and reported under `provisional`.
+ * With a granularity the response also holds a zero-filled `series` of hour, day or month buckets
+ * @returns {Promise<{usage: object, items: object[]}>} - The response body and the rollup and live items it sums
  */
-async function getUsage(apiKey, datePrefix) {
-  const response = await dynamodb.send(
-    new QueryCommand({
-      TableName: USAGE_METRICS_TABLE,
-      KeyConditionExpression: 'api_key = :key AND begins_with(#date, :prefix)',
-      ExpressionAttributeNames: { '#date': 'date' },
-      ExpressionAttributeValues: {
-        ':key': { S: apiKey },
-        ':prefix': { S: datePrefix }, // Format: 'YYYY-MM', 'YYYY-MM-DD', or 'YYYY-MM-DDTHH'
-      },
-    })
-  )
-
-  // Sum up totals across all matching records
-  const totals = response.Items.reduce(
-    (sum, item) => ({
-      request_count: sum.request_count + parseInt(item.request_count?.N || '0', 10),
-      total_bytes_sent: sum.total_bytes_sent + parseInt(item.total_bytes_sent?.N || '0', 10),
-      total_bytes_received: sum.total_bytes_received + parseInt(item.total_bytes_received?.N || '0', 10),
-      successful_requests: sum.successful_requests + parseInt(item.successful_requests?.N || '0', 10),
-      error_requests: sum.error_requests + parseInt(item.error_requests?.N || '0', 10),
-      cache_hits: sum.cache_hits + parseInt(item.cache_hits?.N || '0', 10),
-      cache_misses: sum.cache_misses + parseInt(item.cache_misses?.N || '0', 10),
-      total_response_time: sum.total_response_time + (parseFloat(item.avg_response_time_ms?.N || '0') * parseInt(item.request_count?.N || '0', 10)),
-    }),
-    {
-      request_count: 0,
-      total_bytes_sent: 0,
-      total_bytes_received: 0,
-      successful_requests: 0,
-      error_requests: 0,
-      cache_hits: 0,
-      cache_misses: 0,
-      total_response_time: 0
-    }
-  )
+async function getUsage(apiKey, range, granularity) {
+  const rollupGranularity = range.hourly || granularity === 'hour' ? 'hour' : 'day';
+  const tableName = rollupGranularity === 'hour'
+    ? HOURLY_USAGE_METRICS_TABLE
+    : USAGE_METRICS_TABLE;
 
-  return {
+  const rollupItems = await queryUsageItems(tableName, apiKey, range);
+  const { finalizedItems, provisionalItems } = await getProvisionalItems(apiKey, range, rollupItems, rollupGranularity);
+  const items = [...finalizedItems, ...provisionalItems];
+
+  const usage = {
     apiKey,
-    datePrefix,
-    requestCount: totals.request_count,
-    totalBytesSent: totals.total_bytes_sent,
-    totalBytesReceived: totals.total_bytes_received,
-    successfulRequests: totals.successful_requests,
-    errorRequests: totals.error_requests,
-    cacheHits: totals.cache_hits,
-    cacheMisses: totals.cache_misses,
-    averageResponseTimeMs: totals.request_count > 0 ? totals.total_response_time / totals.request_count : 0,
-    cacheHitRate: (totals.cache_hits + totals.cache_misses) > 0
-      ? (totals.cache_hits / (totals.cache_hits + totals.cache_misses) * 100).toFixed(2)
-      : 0,
-    records: response.Items.length,
+    ...(range.datePrefix ? { datePrefix: range.datePrefix } : { from: range.from, to: range.to }),
+    ...summarizeUsageItems(items),
+    provisional: summarizeProvisional(provisionalItems),
+  };
+
+  if (granularity) {
+    usage.granularity = granularity;
+    usage.series = buildUsageSeries(items, granularity, range);
+  }
+
+  return { usage, items };
+}
+
+/**
+ * Summarize the part of the usage that comes from live counters
+ * @returns {object|null} - Totals and hours not rolled up yet, null when everything is final
+ */
+function summarizeProvisional(provisionalItems) {
+  if (provisionalItems.length === 0) {
+    return null;
+  }
+
+  const summary = summarizeUsageItems(provisionalItems);
+
+  return {
+    requestCount: summary.requestCount,
+    billableRequests: summary.billableRequests,
+    totalBytesSent: summary.totalBytesSent,
+    totalBytesReceived: summary.totalBytesReceived,
+    periods: provisionalItems.map(item => item.date.S).sort(),
+  };
+}
+
+/**
+ * Break usage down per endpoint (method + templated path) for a range of days
+ * @returns {Promise<object[]>} - Endpoint totals, busiest first
+ */
+async function getEndpointUsage(apiKey, range) {
+  // Endpoint sort keys start with the day's ISO timestamp, so the same bounds apply
+  const items = await queryAll({
+    TableName: ENDPOINT_USAGE_TABLE,
+    KeyConditionExpression: 'api_key = :key AND endpoint_key BETWEEN :start AND :end',
+    ExpressionAttributeValues: {
+      ':key': { S: apiKey },
+      ':start': { S: range.startKey },
+      ':end': { S: range.endKey },
+    },
+  });
+
+  const endpoints = new Map();
+
+  for (const item of items) {
+    const endpoint = `${item.method.S} ${item.path.S}`;
+    const totals = endpoints.get(endpoint) || {
+      method: item.method.S,
+      path: item.path.S,
+      requestCount: 0,
+      totalBytesSent: 0,
+      totalBytesReceived: 0,
+      successfulRequests: 0,
+      errorRequests: 0,
+      billableRequests: 0,
+    };
+
+    totals.requestCount += parseInt(item.request_count?.N || '0', 10);
+    totals.totalBytesSent += parseInt(item.total_bytes_sent?.N || '0', 10);
+    totals.totalBytesReceived += parseInt(item.total_bytes_received?.N || '0', 10);
+    totals.successfulRequests += parseInt(item.successful_requests?.N || '0', 10);
+    totals.errorRequests += parseInt(item.error_requests?.N || '0', 10);
+    totals.billableRequests += parseInt(item.billable_requests?.N || '0', 10);
+
+    endpoints.set(endpoint, totals);
+  }
+
+  return [...endpoints.values()].sort((a, b) => b.requestCount - a.requestCount);
+}
+
+/**
+ * Report a customer's usage against their plan's included units
+ * The allowance covers the billing period containing the start of the requested range
+ * @returns {Promise<object|null>} - null for keys without a customer record
+ */
+async function getPlanAllowance(apiKey, startDate) {
+  const customer = await getCustomer(apiKey);
+
+  if (!customer) {
+    return null;
+  }
+
+  const plan = getPlan(customer.planId);
+  const period = getBillingPeriod(customer.billingAnchorDay, startDate);
+
+  const dailyItems = await queryAll({
+    TableName: USAGE_METRICS_TABLE,
+    KeyConditionExpression: 'api_key = :key AND #date BETWEEN :start AND :end',
+    ExpressionAttributeNames: { '#date': 'date' },
+    ExpressionAttributeValues: {
+      ':key': { S: apiKey },
+      ':start': { S: `${period.start}T00:00:00Z` },
+      ':end': { S: `${period.end}T00:00:00Z` },
+    },
+  });
+
+  return {
+    customerId: customer.customerId,
+    planId: customer.planId,
+    billingPeriod: period,
+    allowance: summarizeAllowance(summarizeMonthlyUsage(dailyItems), plan),
+  };
+}
+
+/**
+ * Validate the query parameters of a usage request
+ * The response format comes from the format parameter or the Accept header
+ * @returns {object} - { error } or { range, granularity, groupBy, format }
+ */
+function parseUsageRequest(params, headers) {
+  const { groupBy } = params;
+
+  const range = resolveUsageRange(params);
+  if (range.error) {
+    return range;
+  }
+
+  const { format, error } = resolveExportFormat(params.format, headers);
+  if (error) {
+    return { error };
+  }
+
+  // Exports are one row per period, daily unless the range is in hours
+  const granularity = params.granularity || (format !== 'json' ? (range.hourly ? 'hour' : 'day') : undefined);
+
+  if (granularity && !GRANULARITIES.includes(granularity)) {
+    return { error: `granularity must be one of: ${GRANULARITIES.join(', ')}` };
+  }
+
+  // Hour ranges are only rolled up hourly, coarser buckets would always be empty
+  if (granularity && granularity !== 'hour' && range.hourly) {
+    return { error: 'Hour ranges (YYYY-MM-DDTHH) only support granularity=hour' };
+  }
+
+  // Day ranges can be up to a year, far more hourly buckets than a response holds
+  if (granularity === 'hour' && (range.end - range.start) / (60 * 60 * 1000) > MAX_RANGE_HOURS) {
+    return { error: `granularity=hour is limited to ranges of ${MAX_RANGE_HOURS} hours` };
+  }
+
+  if (groupBy && !GROUP_BY_OPTIONS.includes(groupBy)) {
+    return { error: `groupBy must be one of: ${GROUP_BY_OPTIONS.join(', ')}` };
+  }
+
+  // Endpoint items and region breakdowns are read from daily rollups only
+  if (groupBy && range.hourly) {
+    return { error: `groupBy=${groupBy} supports month and day ranges only` };
+  }
+
+  if (groupBy && format !== 'json') {
+    return { error: `groupBy is not supported with format=${format}` };
   }
+
+  return { range, granularity, groupBy, format };
 }
 
 /**
  * Main handler function
  */
 module.exports.handler = async (event) => {
-  console.log('Get usage event:', JSON.stringify(event, null, 2));
+  // API keys are never logged, the request identity carries the caller's key
+  console.log('Get usage request:', JSON.stringify({
+    requestId: event.requestContext?.requestId,
+    apiKeyId: event.requestContext?.identity?.apiKeyId,
+    date: event.queryStringParameters?.date,
+    month: event.queryStringParameters?.month,
+    from: event.queryStringParameters?.from,
+    to: event.queryStringParameters?.to,
+    granularity: event.queryStringParameters?.granularity,
+    groupBy: event.queryStringParameters?.groupBy,
+    format: event.queryStringParameters?.format,
+  }));
 
   try {
-    // Parse query parameters
-    const apiKey = event.queryStringParameters?.api_key
-    const datePrefix = event.queryStringParameters?.date || event.queryStringParameters?.month
-
-    if (!apiKey) {
+    // api_key is optional and defaults to the caller's own key
+    const authorization = await authorizeApiKey(event, event.queryStringParameters?.api_key);
+    if (authorization.error) {
       return {
-        statusCode: 400,
+        statusCode: authorization.statusCode,
         headers: {
           'Content-Type': 'application/json',
           'Access-Control-Allow-Origin': '*',
         },
         body: JSON.stringify({
-          error: 'api_key parameter is required',
+          error: authorization.error,
         }),
-      }
+      };
     }
+    const apiKey = authorization.apiKey;
 
-    if (!datePrefix) {
+    const request = parseUsageRequest(event.queryStringParameters || {}, event.headers);
+    if (request.error) {
       return {
         statusCode: 400,
         headers: {
@@ -99,12 +247,38 @@ module.exports.handler = async (event) => {
           'Access-Control-Allow-Origin': '*',
         },
         body: JSON.stringify({
-          error: 'date or month parameter is required (format: YYYY-MM, YYYY-MM-DD, or YYYY-MM-DDTHH)',
+          error: request.error,
         }),
-      }
+      };
+    }
+    const { range, granularity, groupBy, format } = request;
+
+    const { usage, items } = await getUsage(apiKey, range, granularity);
+
+    if (format !== 'json') {
+      const label = range.datePrefix || `${range.from}_${range.to}`;
+
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': CONTENT_TYPES[format],
+          'Content-Disposition': `attachment; filename="usage-${label}.${format}"`,
+          'Access-Control-Allow-Origin': '*',
+        },
+        body: formatExportRows(buildExportRows(apiKey, granularity, usage.series), format),
+      };
     }
 
-    const usage = await getUsage(apiKey, datePrefix)
+    usage.plan = await getPlanAllowance(apiKey, range.startDate);
+
+    if (groupBy === 'endpoint') {
+      usage.endpoints = await getEndpointUsage(apiKey, range);
+    }
+
+    if (groupBy === 'region') {
+      // Live counters have no regions, their traffic is reported under region null like the totals
+      usage.regions = summarizeRegions(items);
+    }
 
     return {
       statusCode: 200,
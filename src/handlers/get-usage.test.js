@@ -0,0 +1,34 @@
+/**
+ * Tests for get-usage.js
+ * Using uvu test framework
+ */
+
+process.env.API_KEY_HASH_SECRET = 'test-secret-of-at-least-32-characters'
+
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const { handler } = require('./get-usage')
+
+function usageRequest(queryStringParameters) {
+  return {
+    requestContext: { requestId: 'test', identity: { apiKey: 'test-api-key', apiKeyId: 'test-key-id' } },
+    queryStringParameters
+  }
+}
+
+test('should reject hourly series over day ranges longer than the hourly limit', async () => {
+  const result = await handler(usageRequest({ from: '2024-01-01', to: '2024-12-31', granularity: 'hour' }))
+
+  assert.is(result.statusCode, 400)
+  assert.match(JSON.parse(result.body).error, 'granularity=hour is limited to ranges of 744 hours')
+})
+
+test('should reject hourly series over a day range one day past the limit', async () => {
+  const result = await handler(usageRequest({ from: '2025-01-01', to: '2025-02-01', granularity: 'hour' }))
+
+  assert.is(result.statusCode, 400)
+  assert.match(JSON.parse(result.body).error, 'granularity=hour')
+})
+
+// Run all tests
+test.run()
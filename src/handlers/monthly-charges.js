@@ -0,0 +1,196 @@
+/**
+ * Monthly charges Lambda function
+ * Prices a billing period of daily usage items per API key with the graduated/volume tiers of the
+ * pricing catalog and stores per-tier line items in the charges table.
+ * Keys assigned to a customer are billed for the period ending in the month (per their billing
+ * anchor day) with their plan's included units and overage prices
+ */
+
+const {
+  DynamoDBClient,
+  PutItemCommand
+} = require('@aws-sdk/client-dynamodb')
+const { queryAll, deleteStaleItems, listApiKeysWithUsage } = require('../lib/dynamodb')
+const { startRun, completeRun, failRun } = require('../lib/ledger')
+const { getPricingForMonth } = require('../lib/pricing')
+const { calculateMonthlyCharges } = require('../lib/monthly-charges')
+const { getPlan, getBillingTiers, getBillingPeriodEndingIn, summarizeAllowance } = require('../lib/plans')
+const { getCustomer } = require('../lib/customers')
+const { assertMonth } = require('../lib/validation')
+
+const dynamodb = new DynamoDBClient()
+
+const USAGE_METRICS_TABLE = process.env.USAGE_METRICS_TABLE
+const USAGE_CHARGES_TABLE = process.env.USAGE_CHARGES_TABLE
+
+// Number of per-key charges echoed back in the handler response
+const SAMPLE_SIZE = 10
+
+/**
+ * Get the daily usage items of one API key for a billing period
+ */
+async function getDailyItems(apiKey, period) {
+  return queryAll({
+    TableName: USAGE_METRICS_TABLE,
+    KeyConditionExpression: 'api_key = :key AND #date BETWEEN :start AND :end',
+    ExpressionAttributeNames: { '#date': 'date' },
+    ExpressionAttributeValues: {
+      ':key': { S: apiKey },
+      ':start': { S: `${period.start}T00:00:00Z` },
+      ':end': { S: `${period.end}T00:00:00Z` },
+    },
+  })
+}
+
+/**
+ * Store the monthly charges of one API key
+ */
+async function storeMonthlyCharges(apiKey, month, charges, pricingVersion, runId) {
+  console.log('Storing monthly charges for', apiKey, month, charges.total_usd)
+
+  const item = {
+    api_key: { S: apiKey },
+    charge_key: { S: `monthly#${month}` },
+    date: { S: month },
+    query_type: { S: 'monthly' },
+    pricing_version: { S: pricingVersion },
+    period_start: { S: charges.period.start },
+    period_end: { S: charges.period.end },
+    total_requests: { N: charges.usage.requests.toString() },
+    total_gb: { N: charges.usage.gb_sent.toString() },
+    total_cost_usd: { N: charges.total_usd.toString() },
+    line_items: { S: JSON.stringify(charges.metrics) },
+    run_id: { S: runId },
+    last_updated: { S: new Date().toISOString() },
+  }
+
+  if (charges.customer) {
+    item.customer_id = { S: charges.customer.customerId }
+    item.plan_id = { S: charges.customer.planId }
+    item.allowance = { S: JSON.stringify(charges.allowance) }
+  }
+
+  await dynamodb.send(
+    new PutItemCommand({
+      TableName: USAGE_CHARGES_TABLE,
+      Item: item,
+    })
+  )
+}
+
+/**
+ * Price the billing period of one API key that ends in the month
+ * Keys without a customer record are billed per calendar month with the catalog tiers
+ */
+async function chargeApiKey(apiKey, month, pricing) {
+  const customer = await getCustomer(apiKey)
+  const period = getBillingPeriodEndingIn(customer ? customer.billingAnchorDay : 1, month)
+  const dailyItems = await getDailyItems(apiKey, period)
+
+  if (dailyItems.length === 0) {
+    return null
+  }
+
+  if (!customer) {
+    return { period, ...calculateMonthlyCharges(dailyItems, getBillingTiers(pricing, null)) }
+  }
+
+  const plan = getPlan(customer.planId)
+  const monthly = calculateMonthlyCharges(dailyItems, getBillingTiers(pricing, plan))
+
+  return {
+    period,
+    customer,
+    allowance: summarizeAllowance(monthly.usage, plan),
+    ...monthly
+  }
+}
+
+/**
+ * Main handler function
+ */
+module.exports.handler = async (event = {}) => {
+  console.log('Monthly charges event:', JSON.stringify(event, null, 2))
+
+  try {
+    // Calculate month to process (previous month by default)
+    const month = assertMonth(event.month || getPreviousMonth())
+
+    const pricing = getPricingForMonth(month)
+    if (!pricing.monthly_tiers) {
+      throw new Error(`Pricing version ${pricing.version} defines no monthly_tiers`)
+    }
+
+    // The earliest period that can end in the month is the one anchored on the 2nd of the previous month
+    const scanStart = getBillingPeriodEndingIn(2, month).start
+    const scanEnd = getBillingPeriodEndingIn(1, month).end
+
+    console.log('Processing month:', month, 'pricing version:', pricing.version)
+
+    const run = await startRun({ queryType: 'monthly_charges', granularity: 'month', date: month })
+    const charges = []
+    let rowsDeleted
+
+    try {
+      const apiKeys = await listApiKeysWithUsage(USAGE_METRICS_TABLE, scanStart, scanEnd)
+      console.log(`Found ${apiKeys.length} API keys with usage between ${scanStart} and ${scanEnd}`)
+
+      for (const apiKey of apiKeys) {
+        const monthly = await chargeApiKey(apiKey, month, pricing)
+        if (!monthly) continue
+
+        await storeMonthlyCharges(apiKey, month, monthly, pricing.version, run.runId)
+        charges.push({
+          apiKey,
+          customerId: monthly.customer?.customerId,
+          planId: monthly.customer?.planId,
+          period: monthly.period,
+          totalUsd: monthly.total_usd,
+          metrics: monthly.metrics
+        })
+      }
+
+      // Remove charges of keys that no longer have usage in this month
+      rowsDeleted = await deleteStaleItems({
+        tableName: USAGE_CHARGES_TABLE,
+        indexName: 'ChargeKeyIndex',
+        periodAttribute: 'charge_key',
+        periodValue: `monthly#${month}`,
+        keyAttributes: ['api_key', 'charge_key'],
+        runId: run.runId
+      })
+
+      await completeRun(run, { rowsWritten: charges.length, rowsDeleted })
+    } catch (error) {
+      await failRun(run, error)
+      throw error
+    }
+
+    console.log('Monthly charges completed successfully')
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        message: 'Monthly charges completed',
+        month,
+        pricingVersion: pricing.version,
+        runId: run.runId,
+        apiKeysProcessed: charges.length,
+        rowsDeleted,
+        results: charges.slice(0, SAMPLE_SIZE)
+      }),
+    }
+  } catch (error) {
+    console.error('Monthly charges failed:', error)
+    throw error
+  }
+}
+
+/**
+ * Get the previous month in YYYY-MM format
+ */
+function getPreviousMonth() {
+  const now = new Date()
+  const previous = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1))
+  return previous.toISOString().slice(0, 7)
+}
@@ -4,315 +4,915 @@
  * Extracts API key from cs_headers field
  */
 
-const {
-  AthenaClient,
-  StartQueryExecutionCommand,
-  GetQueryExecutionCommand,
-  GetQueryResultsCommand
-} = require('@aws-sdk/client-athena')
 const {
   DynamoDBClient,
-  UpdateItemCommand,
+  GetItemCommand,
   PutItemCommand
 } = require('@aws-sdk/client-dynamodb')
+const { executeAthenaQuery } = require('../lib/athena')
+const { deleteStaleItems } = require('../lib/dynamodb')
+const { assertDate, sqlString } = require('../lib/validation')
+const { getPricingForDate, buildBillableCondition } = require('../lib/pricing')
+const { buildBillingQuery, buildCacheDiscountQuery } = require('../lib/billing-queries')
+const { getCustomer } = require('../lib/customers')
+const { createKeyIdResolver } = require('../lib/api-keys')
+const {
+  USAGE_COUNTERS,
+  USAGE_MAPS,
+  mergeUsageMetrics,
+  mergeCharges,
+  sumMaps
+} = require('../lib/usage-merge')
+const { isPeriodComplete } = require('../lib/live-usage')
+const { addDays, buildPartitionFilter, buildEventDayFilter } = require('../lib/event-time')
+const { buildPathTemplateExpression, getEndpointKey } = require('../lib/endpoints')
+const {
+  LATENCY_METRICS,
+  buildSketchColumn,
+  parseSketch,
+  summarizeLatency
+} = require('../lib/latency')
+const {
+  STATUS,
+  startRun,
+  completeRun,
+  failRun,
+  getLatestRun
+} = require('../lib/ledger')
 
-const athena = new AthenaClient()
 const dynamodb = new DynamoDBClient()
 
 const ATHENA_DATABASE = process.env.ATHENA_DATABASE
 const ATHENA_OUTPUT_BUCKET = process.env.ATHENA_OUTPUT_BUCKET
 const USAGE_METRICS_TABLE = process.env.USAGE_METRICS_TABLE
+const HOURLY_USAGE_METRICS_TABLE = process.env.HOURLY_USAGE_METRICS_TABLE
+const USAGE_CHARGES_TABLE = process.env.USAGE_CHARGES_TABLE
+const ENDPOINT_USAGE_TABLE = process.env.ENDPOINT_USAGE_TABLE
+
+const GRANULARITIES = ['day', 'hour']
+
+// Query types whose results are stored as charges rather than usage metrics
+const CHARGE_QUERY_TYPES = ['billing', 'cache_discount']
+
+// Numeric columns of the billing and cache_discount queries persisted on charge items
+const CHARGE_FIELDS = [
+  'total_requests',
+  'total_gb',
+  'request_cost_usd',
+  'bandwidth_cost_usd',
+  'total_cost_usd',
+  'cache_hit_rate'
+]
+
+// Columns besides api_key that identify a result row, per query type
+const GROUP_COLUMNS = {
+  daily_usage: ['period'],
+  endpoint_usage: ['method', 'path'],
+  billing: [],
+  cache_discount: []
+}
+
+// Endpoint item counters and the endpoint_usage columns they are read from
+const ENDPOINT_COUNTERS = {
+  request_count: 'total_requests',
+  total_bytes_sent: 'total_bytes_sent',
+  total_bytes_received: 'total_bytes_received',
+  successful_requests: 'successful_requests',
+  error_requests: 'error_requests',
+  billable_requests: 'billable_requests'
+}
+
+// Number of result rows echoed back in the handler response
+const SAMPLE_SIZE = 10
+
+// Athena allows a limited number of concurrent queries per account
+const DEFAULT_BACKFILL_CONCURRENCY = 3
+const MAX_BACKFILL_CONCURRENCY = 5
+const MAX_BACKFILL_DAYS = 92
+
+// No new backfill day is started with less time than this left, a day runs several Athena queries
+const BACKFILL_TIME_MARGIN_MS = 5 * 60 * 1000
+
+// Days checked for late-arriving records by a reconciliation pass
+const DEFAULT_RECONCILE_LOOKBACK_DAYS = 3
+const MAX_RECONCILE_LOOKBACK_DAYS = 31
+
+// Rollups re-run for a day when reconciliation finds late records for it
+const RECONCILE_ROLLUPS = [
+  { queryType: 'daily_usage', granularity: 'day' },
+  { queryType: 'daily_usage', granularity: 'hour' },
+  { queryType: 'billing', granularity: 'day' },
+  { queryType: 'cache_discount', granularity: 'day' },
+  { queryType: 'endpoint_usage', granularity: 'day' }
+]
 
 /**
- * Wait for Athena query to complete
+ * Get the metrics table for a rollup granularity
+ * Hourly rollups go to their own table so they never collide with the daily T00:00:00Z items
  */
-async function waitForQueryResults(queryExecutionId, maxAttempts = 60) {
-  for (let i = 0; i < maxAttempts; i++) {
-    const response = await athena.send(
-      new GetQueryExecutionCommand({ QueryExecutionId: queryExecutionId })
-    )
+function getMetricsTable(granularity) {
+  return granularity === 'hour' ? HOURLY_USAGE_METRICS_TABLE : USAGE_METRICS_TABLE
+}
 
-    const state = response.QueryExecution.Status.State
+/**
+ * Store detailed usage data in DynamoDB
+ * Items are overwritten as a whole, so re-running a period yields identical values.
+ * Keys assigned to a customer are tagged with the customer and plan they were used under.
+ * Items of periods that were not over when the run started are flagged complete: false
+ */
+async function storeUsageMetrics(apiKey, timestamp, metrics, granularity, run) {
+  console.log('Storing metrics for', apiKey, timestamp, metrics)
+
+  const item = {
+    api_key: { S: apiKey },
+    date: { S: timestamp },
+    run_id: { S: run.runId },
+    complete: { BOOL: isPeriodComplete(timestamp, granularity, run.startedAt) },
+    request_count: { N: metrics.request_count.toString() },
+    total_bytes_sent: { N: metrics.total_bytes_sent.toString() },
+    total_bytes_received: { N: metrics.total_bytes_received.toString() },
+    avg_response_time_ms: { N: metrics.avg_response_time_ms.toString() },
+    successful_requests: { N: metrics.successful_requests.toString() },
+    error_requests: { N: metrics.error_requests.toString() },
+    status_2xx: { N: metrics.status_2xx.toString() },
+    status_3xx: { N: metrics.status_3xx.toString() },
+    status_4xx: { N: metrics.status_4xx.toString() },
+    status_5xx: { N: metrics.status_5xx.toString() },
+    billable_requests: { N: metrics.billable_requests.toString() },
+    cache_hits: { N: metrics.cache_hits.toString() },
+    cache_misses: { N: metrics.cache_misses.toString() },
+    countries_served: { N: metrics.countries_served.toString() },
+    billable_bytes_by_country: { S: JSON.stringify(metrics.billable_bytes_by_country) },
+    billable_bytes_by_result_type: { S: JSON.stringify(metrics.billable_bytes_by_result_type) },
+    billable_bytes_by_region: { S: JSON.stringify(metrics.billable_bytes_by_region) },
+    requests_by_region: { S: JSON.stringify(metrics.requests_by_region) },
+    latency_sketches: { S: JSON.stringify(metrics.latency_sketches) },
+    last_updated: { S: new Date().toISOString() },
+  }
 
-    if (state === 'SUCCEEDED') {
-      return response.QueryExecution
-    } else if (state === 'FAILED' || state === 'CANCELLED') {
-      throw new Error(
-        `Query failed: ${response.QueryExecution.Status.StateChangeReason}`
-      )
+  // Percentiles of this period, e.g. time_taken_p99_ms; metrics without values are left out
+  for (const [metric, percentiles] of Object.entries(summarizeLatency(metrics.latency_sketches))) {
+    for (const [name, value] of Object.entries(percentiles)) {
+      if (value !== null) {
+        item[`${metric}_${name}_ms`] = { N: value.toString() }
+      }
     }
+  }
 
-    // Wait 2 seconds before checking again
-    await new Promise(resolve => setTimeout(resolve, 2000))
+  const customer = await getCustomer(apiKey)
+  if (customer) {
+    item.customer_id = { S: customer.customerId }
+    item.plan_id = { S: customer.planId }
   }
 
-  throw new Error('Query timed out')
+  await dynamodb.send(
+    new PutItemCommand({
+      TableName: getMetricsTable(granularity),
+      Item: item,
+    })
+  )
 }
 
 /**
- * Execute Athena query and return results
+ * Read the metrics of an item written by storeUsageMetrics
  */
-async function executeAthenaQuery(query) {
-  console.log('Executing Athena query:', query)
-
-  const queryExecution = await athena.send(
-    new StartQueryExecutionCommand({
-      QueryString: query,
-      QueryExecutionContext: { Database: ATHENA_DATABASE },
-      ResultConfiguration: { OutputLocation: ATHENA_OUTPUT_BUCKET },
-    })
-  )
+function readUsageMetrics(item) {
+  const metrics = {
+    avg_response_time_ms: Number(item.avg_response_time_ms.N),
+    countries_served: Number(item.countries_served.N),
+    latency_sketches: JSON.parse(item.latency_sketches.S)
+  }
 
-  const queryExecutionId = queryExecution.QueryExecutionId
-  console.log('Query execution ID:', queryExecutionId)
+  for (const field of USAGE_COUNTERS) {
+    metrics[field] = Number(item[field].N)
+  }
 
-  const execution = await waitForQueryResults(queryExecutionId)
+  for (const field of USAGE_MAPS) {
+    metrics[field] = JSON.parse(item[field].S)
+  }
 
-  // Log query stats
-  const stats = execution.Statistics
-  console.log('Query stats:', {
-    dataScannedInBytes: stats.DataScannedInBytes,
-    dataScannedInMB: (stats.DataScannedInBytes / 1024 / 1024).toFixed(2),
-    executionTimeInMs: stats.EngineExecutionTimeInMillis,
-    totalTimeInMs: stats.TotalExecutionTimeInMillis
-  })
+  return metrics
+}
 
-  const results = await athena.send(
-    new GetQueryResultsCommand({ QueryExecutionId: queryExecutionId })
+/**
+ * Get an item the current run already wrote, to merge another row of its key into
+ */
+async function getRunItem(tableName, key, runId) {
+  const response = await dynamodb.send(
+    new GetItemCommand({
+      TableName: tableName,
+      Key: key,
+      ConsistentRead: true,
+    })
   )
 
-  return results.ResultSet.Rows
+  if (response.Item?.run_id?.S !== runId) {
+    throw new Error(`Item ${JSON.stringify(key)} to merge into was not written by run ${runId}`)
+  }
+
+  return response.Item
 }
 
 /**
- * Store detailed usage data in DynamoDB
+ * SQL expression summing a value per value of a column into a JSON map, '-' when the column is null
  */
-async function storeUsageMetrics(apiKey, timestamp, metrics) {
-  console.log('Storing metrics for', apiKey, timestamp, metrics)
+function buildSumMapColumn(column, valueSql) {
+  return `json_format(CAST(map_union_sum(map(ARRAY[coalesce(${column}, '-')], ARRAY[${valueSql}])) AS JSON))`
+}
 
-  await dynamodb.send(
-    new PutItemCommand({
-      TableName: USAGE_METRICS_TABLE,
-      Item: {
-        api_key: { S: apiKey },
-        date: { S: timestamp },
-        request_count: { N: metrics.request_count.toString() },
-        total_bytes_sent: { N: metrics.total_bytes_sent.toString() },
-        total_bytes_received: { N: metrics.total_bytes_received.toString() },
-        avg_response_time_ms: { N: metrics.avg_response_time_ms.toString() },
-        successful_requests: { N: metrics.successful_requests.toString() },
-        error_requests: { N: metrics.error_requests.toString() },
-        cache_hits: { N: metrics.cache_hits.toString() },
-        cache_misses: { N: metrics.cache_misses.toString() },
-        countries_served: { N: metrics.countries_served.toString() },
-        last_updated: { S: new Date().toISOString() },
-      },
-    })
-  )
+/**
+ * SQL expression summing billable bytes sent per value of a column into a JSON map
+ * Lets /usage/cost price bandwidth per country, viewer region and cache result type from stored items
+ */
+function buildBytesMapColumn(column, billableSql) {
+  return buildSumMapColumn(column, `CASE WHEN ${billableSql} THEN coalesce(sc_bytes, 0) ELSE 0 END`)
 }
 
 /**
- * Daily usage rollup query
+ * Usage rollup query, grouped per day or per hour of the event timestamp
+ * billable_requests counts the responses the pricing version's billable_statuses rule bills
+ * @returns {{query: string, parameters: string[]}}
  */
-function buildDailyUsageQuery(year, month, day) {
-  return `
+function buildDailyUsageQuery(date, granularity = 'day', pricing = {}, { scanDays } = {}) {
+  const billable = buildBillableCondition(pricing.billable_statuses)
+  const eventDay = buildEventDayFilter(date, scanDays)
+
+  // timestamp is stored in epoch milliseconds by the transform Lambda
+  const periodColumn = granularity === 'hour'
+    ? `date_format(from_unixtime(timestamp / 1000), '%Y-%m-%dT%H:00:00Z')`
+    : '?'
+  const parameters = granularity === 'hour'
+    ? eventDay.parameters
+    : [sqlString(`${date}T00:00:00Z`), ...eventDay.parameters]
+
+  const query = `
     WITH api_key_logs AS (
       SELECT
         api_key,
+        ${periodColumn} as period,
         sc_bytes,
         cs_bytes,
         time_taken,
+        time_to_first_byte,
+        origin_fbl,
+        origin_lbl,
         sc_status,
         c_country,
+        viewer_region,
         x_edge_result_type
       FROM cloudfront_realtime_logs
-      WHERE year = '${year}'
-        AND month = '${month}'
-        AND day = '${day}'
+      WHERE ${eventDay.sql}
         AND api_key IS NOT NULL
     )
     SELECT
       api_key,
+      period,
       COUNT(*) as total_requests,
       SUM(sc_bytes) as total_bytes_sent,
       SUM(cs_bytes) as total_bytes_received,
       ROUND(AVG(time_taken), 3) as avg_response_time_ms,
-      SUM(CASE WHEN sc_status = 200 THEN 1 ELSE 0 END) as successful_requests,
+      SUM(CASE WHEN sc_status BETWEEN 200 AND 299 THEN 1 ELSE 0 END) as successful_requests,
       SUM(CASE WHEN sc_status >= 400 THEN 1 ELSE 0 END) as error_requests,
       SUM(CASE WHEN x_edge_result_type = 'Hit' THEN 1 ELSE 0 END) as cache_hits,
       SUM(CASE WHEN x_edge_result_type = 'Miss' THEN 1 ELSE 0 END) as cache_misses,
-      COUNT(DISTINCT c_country) as countries_served
+      COUNT(DISTINCT c_country) as countries_served,
+      SUM(CASE WHEN sc_status BETWEEN 200 AND 299 THEN 1 ELSE 0 END) as status_2xx,
+      SUM(CASE WHEN sc_status BETWEEN 300 AND 399 THEN 1 ELSE 0 END) as status_3xx,
+      SUM(CASE WHEN sc_status BETWEEN 400 AND 499 THEN 1 ELSE 0 END) as status_4xx,
+      SUM(CASE WHEN sc_status BETWEEN 500 AND 599 THEN 1 ELSE 0 END) as status_5xx,
+      SUM(CASE WHEN ${billable.sql} THEN 1 ELSE 0 END) as billable_requests,
+      ${buildBytesMapColumn('c_country', billable.sql)} as billable_bytes_by_country,
+      ${buildBytesMapColumn('x_edge_result_type', billable.sql)} as billable_bytes_by_result_type,
+      ${buildBytesMapColumn('viewer_region', billable.sql)} as billable_bytes_by_region,
+      ${buildSumMapColumn('viewer_region', 'CAST(1 AS BIGINT)')} as requests_by_region,
+      ${LATENCY_METRICS.map(metric => `${buildSketchColumn(metric)} as ${metric}_sketch`).join(',\n      ')}
     FROM api_key_logs
-    GROUP BY api_key
+    GROUP BY api_key, period
   `
+
+  // The billable condition appears four times in the select list
+  return {
+    query,
+    parameters: [...parameters, ...Array(4).fill(billable.parameters).flat()]
+  }
 }
 
 /**
- * Billing calculation query with geographic pricing
+ * Per-endpoint usage query, grouped per key, method and templated path
+ * @returns {{query: string, parameters: string[]}}
  */
-function buildBillingQuery(year, month, day) {
-  return `
-    WITH geo_usage AS (
+function buildEndpointUsageQuery(date, pricing = {}, { scanDays } = {}) {
+  const path = buildPathTemplateExpression('cs_uri_stem')
+  const eventDay = buildEventDayFilter(date, scanDays)
+  const billable = buildBillableCondition(pricing.billable_statuses)
+
+  const query = `
+    WITH endpoint_logs AS (
       SELECT
         api_key,
-        c_country,
-        COUNT(*) as requests,
-        SUM(sc_bytes) / 1024.0 / 1024.0 / 1024.0 as gb_transferred,
-        CASE c_country
-          WHEN 'US' THEN 0.085
-          WHEN 'CA' THEN 0.085
-          WHEN 'GB' THEN 0.090
-          WHEN 'DE' THEN 0.090
-          WHEN 'JP' THEN 0.100
-          WHEN 'AU' THEN 0.110
-          ELSE 0.120
-        END as price_per_gb
+        cs_method as method,
+        ${path.sql} as path,
+        sc_bytes,
+        cs_bytes,
+        sc_status
       FROM cloudfront_realtime_logs
-      WHERE year = '${year}'
-        AND month = '${month}'
-        AND day = '${day}'
+      WHERE ${eventDay.sql}
         AND api_key IS NOT NULL
-      GROUP BY
-        api_key,
-        c_country
     )
     SELECT
       api_key,
-      SUM(requests) as total_requests,
-      ROUND(SUM(gb_transferred), 4) as total_gb,
-      ROUND(SUM(requests) * 0.0001, 4) as request_cost_usd,
-      ROUND(SUM(gb_transferred * price_per_gb), 4) as bandwidth_cost_usd,
-      ROUND((SUM(requests) * 0.0001) + SUM(gb_transferred * price_per_gb), 4) as total_cost_usd
-    FROM geo_usage
-    GROUP BY api_key
-    ORDER BY total_cost_usd DESC
+      method,
+      path,
+      COUNT(*) as total_requests,
+      SUM(sc_bytes) as total_bytes_sent,
+      SUM(cs_bytes) as total_bytes_received,
+      SUM(CASE WHEN sc_status BETWEEN 200 AND 299 THEN 1 ELSE 0 END) as successful_requests,
+      SUM(CASE WHEN sc_status >= 400 THEN 1 ELSE 0 END) as error_requests,
+      SUM(CASE WHEN ${billable.sql} THEN 1 ELSE 0 END) as billable_requests
+    FROM endpoint_logs
+    GROUP BY api_key, method, path
   `
+
+  return { query, parameters: [...path.parameters, ...eventDay.parameters, ...billable.parameters] }
 }
 
 /**
- * Cache-based discount pricing query
+ * Count the records of each event day across the arrival partitions of a date range
+ * @returns {{query: string, parameters: string[]}}
  */
-function buildCacheDiscountQuery(year, month, day) {
-  return `
-    WITH cache_metrics AS (
-      SELECT
-        api_key,
-        x_edge_result_type,
-        COUNT(*) as requests,
-        SUM(sc_bytes) / 1024.0 / 1024.0 / 1024.0 as gb_transferred,
-        CASE x_edge_result_type
-          WHEN 'Hit' THEN 0.050
-          WHEN 'RefreshHit' THEN 0.050
-          WHEN 'Miss' THEN 0.085
-          WHEN 'Error' THEN 0.085
-          ELSE 0.085
-        END as price_per_gb
-      FROM cloudfront_realtime_logs
-      WHERE year = '${year}'
-        AND month = '${month}'
-        AND day = '${day}'
-        AND api_key IS NOT NULL
-      GROUP BY
-        api_key,
-        x_edge_result_type
-    )
+function buildEventCountQuery(startDate, endDate, partitionDates) {
+  const partitions = buildPartitionFilter(partitionDates)
+
+  const query = `
     SELECT
-      api_key,
-      SUM(requests) as total_requests,
-      ROUND(SUM(gb_transferred), 4) as total_gb,
-      ROUND(SUM(gb_transferred * price_per_gb), 4) as total_cost_usd,
-      ROUND(SUM(CASE WHEN x_edge_result_type IN ('Hit', 'RefreshHit') THEN requests ELSE 0 END) * 100.0 / SUM(requests), 2) as cache_hit_rate
-    FROM cache_metrics
-    GROUP BY api_key
-    ORDER BY total_cost_usd DESC
+      date_format(from_unixtime(timestamp / 1000), '%Y-%m-%d') as event_date,
+      COUNT(*) as total_requests
+    FROM cloudfront_realtime_logs
+    WHERE ${partitions.sql}
+      AND timestamp >= ?
+      AND timestamp < ?
+      AND api_key IS NOT NULL
+    GROUP BY 1
   `
+
+  const parameters = [
+    ...partitions.parameters,
+    String(Date.parse(`${startDate}T00:00:00Z`)),
+    String(Date.parse(`${addDays(endDate, 1)}T00:00:00Z`))
+  ]
+
+  return { query, parameters }
 }
 
 /**
- * Parse date components
+ * Remove items for the processed day that the current run did not write
+ * (API keys that no longer appear in the query results)
  */
-function parseDateComponents(dateStr) {
-  const [year, month, day] = dateStr.split('-')
-  return { year, month, day }
+async function removeStaleUsageMetrics(targetDate, granularity, runId) {
+  const periods = granularity === 'hour'
+    ? Array.from({ length: 24 }, (_, hour) => `${targetDate}T${String(hour).padStart(2, '0')}:00:00Z`)
+    : [`${targetDate}T00:00:00Z`]
+
+  let deleted = 0
+  for (const period of periods) {
+    deleted += await deleteStaleItems({
+      tableName: getMetricsTable(granularity),
+      indexName: 'DateIndex',
+      periodAttribute: 'date',
+      periodValue: period,
+      keyAttributes: ['api_key', 'date'],
+      runId
+    })
+  }
+
+  return deleted
 }
 
 /**
- * Main handler function
+ * Store one endpoint_usage result row
+ * Sort key is `<period>#<method> <path>` so a key's endpoints for a day or month share a prefix
+ * With `merge`, the row is added to the item the run already wrote for the key and endpoint
  */
-module.exports.handler = async (event) => {
-  console.log('Rollup event:', JSON.stringify(event, null, 2))
+async function storeEndpointUsageRow(headers, data, targetDate, runId, merge = false) {
+  const record = Object.fromEntries(headers.map((header, i) => [header, data[i]]))
+  const period = `${targetDate}T00:00:00Z`
+  const key = {
+    api_key: { S: record.api_key },
+    endpoint_key: { S: getEndpointKey(period, record.method, record.path) },
+  }
+
+  let counters = Object.fromEntries(
+    Object.entries(ENDPOINT_COUNTERS).map(([field, column]) => [field, parseInt(record[column], 10) || 0])
+  )
+
+  if (merge) {
+    const stored = await getRunItem(ENDPOINT_USAGE_TABLE, key, runId)
+    counters = sumMaps(counters, Object.fromEntries(
+      Object.keys(ENDPOINT_COUNTERS).map(field => [field, Number(stored[field].N)])
+    ))
+  }
+
+  const item = {
+    ...key,
+    date: { S: period },
+    method: { S: record.method },
+    path: { S: record.path },
+    run_id: { S: runId },
+    last_updated: { S: new Date().toISOString() },
+  }
+
+  for (const [field, value] of Object.entries(counters)) {
+    item[field] = { N: String(value) }
+  }
+
+  await dynamodb.send(
+    new PutItemCommand({
+      TableName: ENDPOINT_USAGE_TABLE,
+      Item: item,
+    })
+  )
+}
+
+/**
+ * Remove rows of the processed period that the current run did not write
+ */
+async function removeStaleRows(queryType, targetDate, granularity, runId) {
+  if (CHARGE_QUERY_TYPES.includes(queryType)) {
+    return removeStaleCharges(queryType, targetDate, runId)
+  }
+
+  if (queryType === 'endpoint_usage') {
+    return deleteStaleItems({
+      tableName: ENDPOINT_USAGE_TABLE,
+      indexName: 'DateIndex',
+      periodAttribute: 'date',
+      periodValue: `${targetDate}T00:00:00Z`,
+      keyAttributes: ['api_key', 'endpoint_key'],
+      runId
+    })
+  }
+
+  return removeStaleUsageMetrics(targetDate, granularity, runId)
+}
+
+/**
+ * Store one billing or cache_discount result row as a charge item
+ * Sort key is `<queryType>#<date>` so a month can be summed with begins_with('billing#YYYY-MM')
+ * With `merge`, the row is added to the item the run already wrote for the key
+ */
+async function storeChargeRow(headers, data, queryType, targetDate, pricingVersion, runId, merge = false) {
+  const record = Object.fromEntries(headers.map((header, i) => [header, data[i]]))
+  const key = {
+    api_key: { S: record.api_key },
+    charge_key: { S: `${queryType}#${targetDate}` },
+  }
+
+  let charges = {}
+  for (const field of CHARGE_FIELDS) {
+    if (field in record) {
+      charges[field] = parseFloat(record[field]) || 0
+    }
+  }
+
+  if (merge) {
+    const stored = await getRunItem(USAGE_CHARGES_TABLE, key, runId)
+    charges = mergeCharges(
+      Object.fromEntries(Object.keys(charges).map(field => [field, Number(stored[field]?.N || 0)])),
+      charges
+    )
+  }
+
+  const item = {
+    ...key,
+    date: { S: targetDate },
+    query_type: { S: queryType },
+    pricing_version: { S: pricingVersion },
+    run_id: { S: runId },
+    last_updated: { S: new Date().toISOString() },
+  }
+
+  for (const [field, value] of Object.entries(charges)) {
+    item[field] = { N: String(value) }
+  }
+
+  console.log('Storing charges for', record.api_key, item.charge_key.S)
+
+  await dynamodb.send(
+    new PutItemCommand({
+      TableName: USAGE_CHARGES_TABLE,
+      Item: item,
+    })
+  )
+}
+
+/**
+ * Remove charge items for the processed day that the current run did not write
+ */
+async function removeStaleCharges(queryType, targetDate, runId) {
+  return deleteStaleItems({
+    tableName: USAGE_CHARGES_TABLE,
+    indexName: 'ChargeKeyIndex',
+    periodAttribute: 'charge_key',
+    periodValue: `${queryType}#${targetDate}`,
+    keyAttributes: ['api_key', 'charge_key'],
+    runId
+  })
+}
+
+/**
+ * Parse a JSON map of bytes or requests per value as returned by Athena
+ */
+function parseNumberMap(value) {
+  return Object.fromEntries(
+    Object.entries(value ? JSON.parse(value) : {}).map(([key, bytes]) => [key, Number(bytes)])
+  )
+}
+
+/**
+ * Store one daily_usage result row in DynamoDB
+ * With `merge`, the row is added to the item the run already wrote for the key and period
+ */
+async function storeDailyUsageRow(data, granularity, run, merge = false) {
+  const [
+    apiKey,
+    period,
+    requestCount,
+    totalBytesSent,
+    totalBytesReceived,
+    avgResponseTime,
+    successfulRequests,
+    errorRequests,
+    cacheHits,
+    cacheMisses,
+    countriesServed,
+    status2xx,
+    status3xx,
+    status4xx,
+    status5xx,
+    billableRequests,
+    billableBytesByCountry,
+    billableBytesByResultType,
+    billableBytesByRegion,
+    requestsByRegion,
+    ...latencySketches
+  ] = data
+
+  let metrics = {
+    request_count: parseInt(requestCount, 10) || 0,
+    total_bytes_sent: parseInt(totalBytesSent, 10) || 0,
+    total_bytes_received: parseInt(totalBytesReceived, 10) || 0,
+    avg_response_time_ms: parseFloat(avgResponseTime) || 0,
+    successful_requests: parseInt(successfulRequests, 10) || 0,
+    error_requests: parseInt(errorRequests, 10) || 0,
+    cache_hits: parseInt(cacheHits, 10) || 0,
+    cache_misses: parseInt(cacheMisses, 10) || 0,
+    countries_served: parseInt(countriesServed, 10) || 0,
+    status_2xx: parseInt(status2xx, 10) || 0,
+    status_3xx: parseInt(status3xx, 10) || 0,
+    status_4xx: parseInt(status4xx, 10) || 0,
+    status_5xx: parseInt(status5xx, 10) || 0,
+    billable_requests: parseInt(billableRequests, 10) || 0,
+    billable_bytes_by_country: parseNumberMap(billableBytesByCountry),
+    billable_bytes_by_result_type: parseNumberMap(billableBytesByResultType),
+    billable_bytes_by_region: parseNumberMap(billableBytesByRegion),
+    requests_by_region: parseNumberMap(requestsByRegion),
+    latency_sketches: Object.fromEntries(
+      LATENCY_METRICS.map((metric, i) => [metric, parseSketch(latencySketches[i])])
+    )
+  }
+
+  if (merge) {
+    const stored = await getRunItem(getMetricsTable(granularity), { api_key: { S: apiKey }, date: { S: period } }, run.runId)
+    metrics = mergeUsageMetrics(readUsageMetrics(stored), metrics)
+  }
+
+  await storeUsageMetrics(apiKey, period, metrics, granularity, run)
+}
+
+/**
+ * Roll up a single day (or the hours of a single day) and record the run in the ledger
+ * Records are selected by event timestamp from `scanDays` arrival partitions starting at the day
+ * @returns {Promise<object>} - Summary of the run
+ */
+async function rollupDay({ targetDate, queryType, granularity, scanDays }) {
+  assertDate(targetDate)
+
+  // Create ISO 8601 timestamp for DynamoDB (daily rollup at midnight UTC)
+  const timestamp = `${targetDate}T00:00:00Z`
+
+  console.log('Processing date:', targetDate, { timestamp, granularity, scanDays })
+
+  // Prices and the billable statuses rule come from the catalog version in effect on the processed day
+  const pricing = getPricingForDate(targetDate)
+  let built
+
+  switch (queryType) {
+    case 'billing':
+      built = buildBillingQuery(targetDate, pricing, { scanDays })
+      break
+    case 'cache_discount':
+      built = buildCacheDiscountQuery(targetDate, pricing, { scanDays })
+      break
+    case 'endpoint_usage':
+      built = buildEndpointUsageQuery(targetDate, pricing, { scanDays })
+      break
+    case 'daily_usage':
+    default:
+      built = buildDailyUsageQuery(targetDate, granularity, pricing, { scanDays })
+      break
+  }
+
+  console.log('Query type:', queryType)
+
+  const run = await startRun({ queryType, granularity, date: targetDate })
+  const sample = []
+  const resolveKeyId = createKeyIdResolver()
+  // Other query types run the daily_usage query, see the switch above
+  const groupColumns = GROUP_COLUMNS[queryType] || GROUP_COLUMNS.daily_usage
+  let rowsWritten = 0
+  let rowsDeleted = 0
+  let requestsCounted = 0
+  let result
 
   try {
-    // Calculate date to process (yesterday by default)
-    const targetDate = event.date || getYesterdayDate()
-    const { year, month, day } = parseDateComponents(targetDate)
+    // Store each page of results in DynamoDB as it arrives
+    result = await executeAthenaQuery(built.query, {
+      database: ATHENA_DATABASE,
+      outputLocation: ATHENA_OUTPUT_BUCKET,
+      parameters: built.parameters,
+      onRows: async (rows, headers) => {
+        for (const row of rows) {
+          const data = row.Data.map(d => d.VarCharValue)
+
+          // Partitions delivered before the transform hashed keys still hold raw keys,
+          // a key found both raw and hashed is merged into one item
+          const apiKeyIndex = headers.indexOf('api_key')
+          const groupValues = groupColumns.map(column => data[headers.indexOf(column)])
+          const { keyId, repeat } = resolveKeyId(data[apiKeyIndex], groupValues)
+          data[apiKeyIndex] = keyId
+
+          if (sample.length < SAMPLE_SIZE) {
+            sample.push(data)
+          }
+
+          // Every query reports total_requests, reconciliation compares against the sum
+          requestsCounted += parseInt(data[headers.indexOf('total_requests')], 10) || 0
+
+          if (CHARGE_QUERY_TYPES.includes(queryType)) {
+            await storeChargeRow(headers, data, queryType, targetDate, pricing.version, run.runId, repeat)
+          } else if (queryType === 'endpoint_usage') {
+            await storeEndpointUsageRow(headers, data, targetDate, run.runId, repeat)
+          } else {
+            await storeDailyUsageRow(data, granularity, run, repeat)
+          }
+
+          if (!repeat) {
+            rowsWritten++
+          }
+        }
+      }
+    })
+
+    rowsDeleted = await removeStaleRows(queryType, targetDate, granularity, run.runId)
+
+    await completeRun(run, { queryExecutionId: result.queryExecutionId, rowsWritten, rowsDeleted, requestsCounted })
+  } catch (error) {
+    await failRun(run, error)
+    throw error
+  }
+
+  console.log(`Found ${result.rowCount} API keys with usage for ${targetDate}`)
+
+  return {
+    date: targetDate,
+    timestamp,
+    queryType,
+    granularity,
+    pricingVersion: pricing.version,
+    runId: run.runId,
+    queryExecutionId: result.queryExecutionId,
+    apiKeysProcessed: result.rowCount,
+    rowsWritten,
+    rowsDeleted,
+    requestsCounted,
+    results: sample // Limited to the first SAMPLE_SIZE rows
+  }
+}
+
+/**
+ * Parse the concurrency of a backfill, failing for values outside 1-MAX_BACKFILL_CONCURRENCY
+ */
+function parseConcurrency(value) {
+  if (value === undefined || value === null) {
+    return DEFAULT_BACKFILL_CONCURRENCY
+  }
+
+  const concurrency = Number(value)
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_BACKFILL_CONCURRENCY) {
+    throw new Error(`Invalid concurrency: ${value} (expected 1-${MAX_BACKFILL_CONCURRENCY})`)
+  }
+
+  return concurrency
+}
+
+/**
+ * Roll up every day of a date range, skipping days the ledger already shows as completed
+ * Days not started before the deadline are returned as deferred, to be run by another invocation
+ * @param {{deadline?: number}} options - Time (ms) after which no new day is started
+ * @returns {Promise<object[]>} - Per-day summaries in date order
+ */
+async function backfillDays({ startDate, endDate, queryType, granularity, force, concurrency, deadline = Infinity }) {
+  const dates = getDateRange(startDate, endDate)
+
+  console.log(`Backfilling ${dates.length} days from ${startDate} to ${endDate}`, { concurrency, force })
+
+  return mapWithConcurrency(dates, concurrency, async (targetDate) => {
+    // Days are started in date order, so deferred days are always the end of the range
+    if (Date.now() > deadline) {
+      return { date: targetDate, status: 'deferred' }
+    }
+
+    if (!force) {
+      const latestRun = await getLatestRun({ queryType, granularity, date: targetDate })
+
+      if (latestRun?.status?.S === STATUS.SUCCEEDED) {
+        console.log(`Skipping ${targetDate}, already completed by run ${latestRun.run_id.S}`)
+        return {
+          date: targetDate,
+          status: 'skipped',
+          runId: latestRun.run_id.S,
+          rowsWritten: parseInt(latestRun.rows_written?.N || '0', 10)
+        }
+      }
+    }
+
+    try {
+      const { results, ...summary } = await rollupDay({ targetDate, queryType, granularity })
+      return { ...summary, status: 'completed' }
+    } catch (error) {
+      console.error(`Rollup failed for ${targetDate}:`, error)
+      return { date: targetDate, status: 'failed', error: error.message }
+    }
+  })
+}
+
+/**
+ * Find already rolled-up days that gained late-arriving records and re-run their rollups
+ * A day is re-run when its records across every partition received since then outnumber the
+ * requests counted by its last successful daily rollup
+ * @returns {Promise<object[]>} - Per-day results in date order
+ */
+async function reconcileDays({ lookbackDays }) {
+  const today = getTodayDate()
+  const endDate = addDays(today, -1)
+  const startDate = addDays(today, -lookbackDays)
+  const partitionDates = getDateRange(startDate, today)
+
+  console.log(`Reconciling ${startDate} to ${endDate} against partitions through ${today}`)
+
+  const built = buildEventCountQuery(startDate, endDate, partitionDates)
+  const currentCounts = {}
+
+  await executeAthenaQuery(built.query, {
+    database: ATHENA_DATABASE,
+    outputLocation: ATHENA_OUTPUT_BUCKET,
+    parameters: built.parameters,
+    onRows: async (rows) => {
+      for (const row of rows) {
+        const [eventDate, totalRequests] = row.Data.map(d => d.VarCharValue)
+        currentCounts[eventDate] = parseInt(totalRequests, 10) || 0
+      }
+    }
+  })
+
+  const days = []
+
+  // One day at a time, each re-run issues several Athena queries
+  for (const targetDate of getDateRange(startDate, endDate)) {
+    const latestRun = await getLatestRun({ queryType: 'daily_usage', granularity: 'day', date: targetDate })
+    const currentRequests = currentCounts[targetDate] || 0
+
+    if (latestRun?.status?.S !== STATUS.SUCCEEDED) {
+      days.push({ date: targetDate, status: 'not_rolled_up', currentRequests })
+      continue
+    }
+
+    // Runs recorded before requests were counted are re-run once to establish a baseline
+    const recordedRequests = latestRun.requests_counted ? parseInt(latestRun.requests_counted.N, 10) : null
+    if (recordedRequests !== null && currentRequests <= recordedRequests) {
+      days.push({ date: targetDate, status: 'unchanged', recordedRequests, currentRequests })
+      continue
+    }
+
+    console.log(`Late records for ${targetDate}: ${recordedRequests} rolled up, ${currentRequests} now`)
+
+    try {
+      // Scan every partition from the day through today, where the late records arrived
+      const scanDays = partitionDates.length - partitionDates.indexOf(targetDate)
+      const runIds = []
+
+      for (const { queryType, granularity } of RECONCILE_ROLLUPS) {
+        const summary = await rollupDay({ targetDate, queryType, granularity, scanDays })
+        runIds.push(summary.runId)
+      }
+
+      days.push({ date: targetDate, status: 'reconciled', recordedRequests, currentRequests, runIds })
+    } catch (error) {
+      console.error(`Reconciliation failed for ${targetDate}:`, error)
+      days.push({ date: targetDate, status: 'failed', recordedRequests, currentRequests, error: error.message })
+    }
+  }
+
+  return days
+}
 
-    // Create ISO 8601 timestamp for DynamoDB (daily rollup at midnight UTC)
-    const timestamp = `${targetDate}T00:00:00Z`
+/**
+ * Main handler function
+ * Accepts a single `date`, a `startDate`/`endDate` range to backfill, or `reconcile: true`
+ */
+module.exports.handler = async (event, context) => {
+  console.log('Rollup event:', JSON.stringify(event, null, 2))
 
-    console.log('Processing date:', targetDate, { year, month, day, timestamp })
+  try {
+    const granularity = event.granularity || 'day'
+    if (!GRANULARITIES.includes(granularity)) {
+      throw new Error(`Invalid granularity: ${granularity} (expected one of ${GRANULARITIES.join(', ')})`)
+    }
 
     // Choose query type based on event parameter
     const queryType = event.queryType || 'daily_usage'
-    let query
-
-    switch (queryType) {
-      case 'billing':
-        query = buildBillingQuery(year, month, day)
-        break
-      case 'cache_discount':
-        query = buildCacheDiscountQuery(year, month, day)
-        break
-      case 'daily_usage':
-      default:
-        query = buildDailyUsageQuery(year, month, day)
-        break
+    if (granularity === 'hour' && queryType !== 'daily_usage') {
+      throw new Error(`Hourly granularity is only supported for daily_usage, not ${queryType}`)
     }
 
-    console.log('Query type:', queryType)
-    const rows = await executeAthenaQuery(query)
-
-    // Skip header row
-    const dataRows = rows.slice(1)
-
-    console.log(`Found ${dataRows.length} API keys with usage`)
-
-    // Store results in DynamoDB (for daily_usage query type)
-    if (queryType === 'daily_usage') {
-      for (const row of dataRows) {
-        const data = row.Data.map(d => d.VarCharValue)
-        const [
-          apiKey,
-          requestCount,
-          totalBytesSent,
-          totalBytesReceived,
-          avgResponseTime,
-          successfulRequests,
-          errorRequests,
-          cacheHits,
-          cacheMisses,
-          countriesServed
-        ] = data
-
-        await storeUsageMetrics(apiKey, timestamp, {
-          request_count: parseInt(requestCount, 10) || 0,
-          total_bytes_sent: parseInt(totalBytesSent, 10) || 0,
-          total_bytes_received: parseInt(totalBytesReceived, 10) || 0,
-          avg_response_time_ms: parseFloat(avgResponseTime) || 0,
-          successful_requests: parseInt(successfulRequests, 10) || 0,
-          error_requests: parseInt(errorRequests, 10) || 0,
-          cache_hits: parseInt(cacheHits, 10) || 0,
-          cache_misses: parseInt(cacheMisses, 10) || 0,
-          countries_served: parseInt(countriesServed, 10) || 0
-        })
+    if (event.reconcile) {
+      const lookbackDays = parseInt(event.lookbackDays, 10) || DEFAULT_RECONCILE_LOOKBACK_DAYS
+      if (lookbackDays < 1 || lookbackDays > MAX_RECONCILE_LOOKBACK_DAYS) {
+        throw new Error(`Invalid lookbackDays: ${event.lookbackDays} (expected 1-${MAX_RECONCILE_LOOKBACK_DAYS})`)
+      }
+
+      const days = await reconcileDays({ lookbackDays })
+      const failed = days.filter(day => day.status === 'failed').length
+      console.log(`Reconciliation finished with ${failed} failed days`)
+
+      return {
+        statusCode: failed > 0 ? 207 : 200,
+        body: JSON.stringify({
+          message: 'Usage reconciliation completed',
+          lookbackDays,
+          reconciled: days.filter(day => day.status === 'reconciled').length,
+          unchanged: days.filter(day => day.status === 'unchanged').length,
+          failed,
+          days
+        }),
       }
     }
 
-    // Return results
-    const results = dataRows.map(row => {
-      const data = row.Data.map(d => d.VarCharValue)
-      return data
-    })
+    if (event.startDate || event.endDate) {
+      if (!event.startDate || !event.endDate) {
+        throw new Error('Both startDate and endDate are required for a backfill')
+      }
+
+      const days = await backfillDays({
+        startDate: event.startDate,
+        endDate: event.endDate,
+        queryType,
+        granularity,
+        force: Boolean(event.force),
+        concurrency: parseConcurrency(event.concurrency),
+        deadline: context?.getRemainingTimeInMillis
+          ? Date.now() + context.getRemainingTimeInMillis() - BACKFILL_TIME_MARGIN_MS
+          : Infinity
+      })
+
+      const failed = days.filter(day => day.status === 'failed').length
+      const deferred = days.filter(day => day.status === 'deferred')
+      console.log(`Backfill finished with ${failed} failed and ${deferred.length} deferred days`)
+
+      return {
+        statusCode: failed > 0 ? 207 : 200,
+        body: JSON.stringify({
+          message: 'Usage backfill completed',
+          startDate: event.startDate,
+          endDate: event.endDate,
+          queryType,
+          granularity,
+          completed: days.filter(day => day.status === 'completed').length,
+          skipped: days.filter(day => day.status === 'skipped').length,
+          failed,
+          deferred: deferred.length,
+          // Invoke again from this date to finish the range, null when every day ran
+          nextStartDate: deferred.length > 0 ? deferred[0].date : null,
+          days
+        }),
+      }
+    }
+
+    // Calculate date to process (yesterday by default, the current day for hourly runs)
+    const targetDate = event.date || (granularity === 'hour' ? getLastHourDate() : getYesterdayDate())
+    assertDate(targetDate)
+
+    const summary = await rollupDay({ targetDate, queryType, granularity })
 
     console.log('Rollup completed successfully')
 
@@ -320,11 +920,7 @@ module.exports.handler = async (event) => {
       statusCode: 200,
       body: JSON.stringify({
         message: 'Usage rollup completed',
-        date: targetDate,
-        timestamp,
-        queryType,
-        apiKeysProcessed: dataRows.length,
-        results: results.length <= 10 ? results : results.slice(0, 10) // Limit to first 10 for response
+        ...summary
       }),
     }
   } catch (error) {
@@ -333,6 +929,56 @@ module.exports.handler = async (event) => {
   }
 }
 
+/**
+ * Run fn over items with at most `limit` calls in flight, preserving result order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length)
+  let next = 0
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index])
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker)
+  await Promise.all(workers)
+
+  return results
+}
+
+/**
+ * List every YYYY-MM-DD date from startDate to endDate inclusive
+ */
+function getDateRange(startDate, endDate) {
+  const start = new Date(`${assertDate(startDate, 'startDate')}T00:00:00Z`)
+  const end = new Date(`${assertDate(endDate, 'endDate')}T00:00:00Z`)
+
+  if (start > end) {
+    throw new Error(`startDate ${startDate} is after endDate ${endDate}`)
+  }
+
+  const dates = []
+  for (let date = start; date <= end; date.setUTCDate(date.getUTCDate() + 1)) {
+    dates.push(date.toISOString().split('T')[0])
+  }
+
+  if (dates.length > MAX_BACKFILL_DAYS) {
+    throw new Error(`Backfill range of ${dates.length} days exceeds the maximum of ${MAX_BACKFILL_DAYS}`)
+  }
+
+  return dates
+}
+
+/**
+ * Get today's date in YYYY-MM-DD format
+ */
+function getTodayDate() {
+  return new Date().toISOString().split('T')[0]
+}
+
 /**
  * Get yesterday's date in YYYY-MM-DD format
  */
@@ -341,3 +987,12 @@ function getYesterdayDate() {
   yesterday.setDate(yesterday.getDate() - 1)
   return yesterday.toISOString().split('T')[0]
 }
+
+/**
+ * Get the date of the previous hour in YYYY-MM-DD format
+ * Hourly runs shortly after midnight still finish off the previous day
+ */
+function getLastHourDate() {
+  const lastHour = new Date(Date.now() - 60 * 60 * 1000)
+  return lastHour.toISOString().split('T')[0]
+}
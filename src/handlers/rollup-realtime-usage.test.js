@@ -0,0 +1,33 @@
+/**
+ * Tests for rollup-realtime-usage.js
+ * Using uvu test framework
+ */
+
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const { handler } = require('./rollup-realtime-usage')
+
+const backfill = { startDate: '2025-09-01', endDate: '2025-09-03' }
+
+test('should reject backfill concurrency outside 1-5', async () => {
+  for (const concurrency of [-1, 0, 6, 1000, 'all', 2.5]) {
+    try {
+      await handler({ ...backfill, concurrency })
+      assert.unreachable(`concurrency ${concurrency} should be rejected`)
+    } catch (error) {
+      assert.match(error.message, 'Invalid concurrency')
+    }
+  }
+})
+
+test('should defer days that would not finish before the timeout', async () => {
+  const result = await handler({ ...backfill, concurrency: 2 }, { getRemainingTimeInMillis: () => 60 * 1000 })
+  const body = JSON.parse(result.body)
+
+  assert.is(body.deferred, 3)
+  assert.is(body.nextStartDate, '2025-09-01')
+  assert.equal(body.days.map(day => day.status), ['deferred', 'deferred', 'deferred'])
+})
+
+// Run all tests
+test.run()
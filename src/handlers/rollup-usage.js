@@ -3,93 +3,31 @@
  * Queries CloudFront logs via Athena and stores aggregated usage in DynamoDB
  */
 
-const {
-  AthenaClient,
-  StartQueryExecutionCommand,
-  GetQueryExecutionCommand,
-  GetQueryResultsCommand
-} = require('@aws-sdk/client-athena');
 const {
   DynamoDBClient,
   UpdateItemCommand
 } = require('@aws-sdk/client-dynamodb');
+const { executeAthenaQuery } = require('../lib/athena');
+const { deleteStaleItems } = require('../lib/dynamodb');
+const { startRun, completeRun, failRun } = require('../lib/ledger');
+const { assertDate, sqlString } = require('../lib/validation');
+const { hashApiKey } = require('../lib/api-keys');
+const { parseCredentialSources, buildCredentialSql } = require('../lib/credentials');
 
-const athena = new AthenaClient();
 const dynamodb = new DynamoDBClient();
 
 const ATHENA_DATABASE = process.env.ATHENA_DATABASE;
 const ATHENA_OUTPUT_BUCKET = process.env.ATHENA_OUTPUT_BUCKET;
 const USAGE_METRICS_TABLE = process.env.USAGE_METRICS_TABLE;
 
-/**
- * Wait for Athena query to complete
- */
-async function waitForQueryResults(queryExecutionId, maxAttempts = 60) {
-  for (let i = 0; i < maxAttempts; i++) {
-    const response = await athena.send(
-      new GetQueryExecutionCommand({ QueryExecutionId: queryExecutionId })
-    );
-
-    const state = response.QueryExecution.Status.State;
-
-    if (state === 'SUCCEEDED') {
-      return true;
-    } else if (state === 'FAILED' || state === 'CANCELLED') {
-      throw new Error(
-        `Query failed: ${response.QueryExecution.Status.StateChangeReason}`
-      );
-    }
-
-    // Wait 2 seconds before checking again
-    await new Promise(resolve => setTimeout(resolve, 2000));
-  }
-
-  throw new Error('Query timed out');
-}
-
-/**
- * Execute Athena query and return results
- */
-async function executeAthenaQuery(query) {
-  console.log('Executing Athena query:', query);
-
-  const queryExecution = await athena.send(
-    new StartQueryExecutionCommand({
-      QueryString: query,
-      QueryExecutionContext: { Database: ATHENA_DATABASE },
-      ResultConfiguration: { OutputLocation: ATHENA_OUTPUT_BUCKET },
-    })
-  );
-
-  const queryExecutionId = queryExecution.QueryExecutionId;
-  console.log('Query execution ID:', queryExecutionId);
-
-  await waitForQueryResults(queryExecutionId);
-
-  const results = await athena.send(
-    new GetQueryResultsCommand({ QueryExecutionId: queryExecutionId })
-  );
-
-  return results.ResultSet.Rows;
-}
-
-/**
- * Parse API key from CloudFront query string
- */
-function parseApiKeyFromQueryString(queryString) {
-  if (!queryString || queryString === '-') {
-    return 'no-key';
-  }
-
-  // Extract cf_api_key parameter that was added by CloudFront function
-  const match = queryString.match(/cf_api_key=([^&]+)/);
-  return match ? match[1] : 'no-key';
-}
+// Standard logs have no request headers, keys are read from the query string and cookies
+const STANDARD_LOG_CREDENTIAL_COLUMNS = { query: 'cs_uri_query', cookie: 'cs_cookie' };
 
 /**
  * Store usage data in DynamoDB
+ * Values are SET rather than ADDed, so re-running a day yields identical totals
  */
-async function storeUsageMetrics(apiKey, date, metrics) {
+async function storeUsageMetrics(apiKey, date, metrics, runId) {
   console.log('Storing metrics for', apiKey, date, metrics);
 
   await dynamodb.send(
@@ -100,12 +38,14 @@ async function storeUsageMetrics(apiKey, date, metrics) {
         date: { S: date },
       },
       UpdateExpression: `
-        ADD request_count :req,
-            total_bytes :bytes,
-            total_latency :lat
-        SET last_updated = :updated
+        SET request_count = :req,
+            total_bytes = :bytes,
+            total_latency = :lat,
+            run_id = :run,
+            last_updated = :updated
       `,
       ExpressionAttributeValues: {
+        ':run': { S: runId },
         ':req': { N: metrics.request_count.toString() },
         ':bytes': { N: metrics.total_bytes.toString() },
         ':lat': { N: metrics.total_latency.toString() },
@@ -123,42 +63,71 @@ module.exports.handler = async (event) => {
 
   try {
     // Calculate date to process (yesterday by default)
-    const targetDate = event.date || getYesterdayDate();
+    const targetDate = assertDate(event.date || getYesterdayDate());
     console.log('Processing date:', targetDate);
 
-    // Query CloudFront logs via Athena
+    // Query CloudFront logs via Athena, resolving keys with the same sources as the transform
+    const apiKeySql = buildCredentialSql(parseCredentialSources(), STANDARD_LOG_CREDENTIAL_COLUMNS);
     const query = `
       SELECT
-        regexp_extract(cs_uri_query, 'cf_api_key=([^&]+)', 1) as api_key,
+        ${apiKeySql} as api_key,
         COUNT(*) as request_count,
         SUM(sc_bytes) as total_bytes,
         SUM(time_taken) as total_latency
       FROM cloudfront_logs
-      WHERE date = DATE '${targetDate}'
-        AND cs_uri_query LIKE '%cf_api_key=%'
-      GROUP BY regexp_extract(cs_uri_query, 'cf_api_key=([^&]+)', 1)
+      WHERE date = CAST(? AS DATE)
+        AND ${apiKeySql} IS NOT NULL
+      GROUP BY 1
     `;
 
-    const rows = await executeAthenaQuery(query);
-
-    // Skip header row
-    const dataRows = rows.slice(1);
-
-    console.log(`Found ${dataRows.length} API keys with usage`);
+    const run = await startRun({ queryType: 'legacy_usage', granularity: 'day', date: targetDate });
+    let result;
+    let rowsDeleted;
+
+    try {
+      // Store each page of results in DynamoDB as it arrives
+      result = await executeAthenaQuery(query, {
+        database: ATHENA_DATABASE,
+        outputLocation: ATHENA_OUTPUT_BUCKET,
+        parameters: [sqlString(targetDate)],
+        onRows: async (rows) => {
+          for (const row of rows) {
+            const [apiKey, requestCount, totalBytes, totalLatency] = row.Data.map(
+              (d) => d.VarCharValue
+            );
+
+            // Standard logs carry the raw key in the query string, only its identifier is stored
+            await storeUsageMetrics(hashApiKey(apiKey), targetDate, {
+              request_count: parseInt(requestCount, 10),
+              total_bytes: parseInt(totalBytes, 10),
+              total_latency: parseFloat(totalLatency),
+            }, run.runId);
+          }
+        },
+      });
 
-    // Store results in DynamoDB
-    for (const row of dataRows) {
-      const [apiKey, requestCount, totalBytes, totalLatency] = row.Data.map(
-        (d) => d.VarCharValue
-      );
+      // Remove keys that no longer appear in the results for this day
+      rowsDeleted = await deleteStaleItems({
+        tableName: USAGE_METRICS_TABLE,
+        indexName: 'DateIndex',
+        periodAttribute: 'date',
+        periodValue: targetDate,
+        keyAttributes: ['api_key', 'date'],
+        runId: run.runId,
+      });
 
-      await storeUsageMetrics(apiKey, targetDate, {
-        request_count: parseInt(requestCount, 10),
-        total_bytes: parseInt(totalBytes, 10),
-        total_latency: parseFloat(totalLatency),
+      await completeRun(run, {
+        queryExecutionId: result.queryExecutionId,
+        rowsWritten: result.rowCount,
+        rowsDeleted,
       });
+    } catch (error) {
+      await failRun(run, error);
+      throw error;
     }
 
+    console.log(`Found ${result.rowCount} API keys with usage`);
+
     console.log('Rollup completed successfully');
 
     return {
@@ -166,7 +135,9 @@ module.exports.handler = async (event) => {
       body: JSON.stringify({
         message: 'Usage rollup completed',
         date: targetDate,
-        apiKeysProcessed: dataRows.length,
+        runId: run.runId,
+        apiKeysProcessed: result.rowCount,
+        rowsDeleted,
       }),
     };
   } catch (error) {
@@ -3,9 +3,12 @@
  * Using uvu test framework
  */
 
+process.env.API_KEY_HASH_SECRET = 'test-secret-of-at-least-32-characters'
+
 const { test } = require('uvu')
 const assert = require('uvu/assert')
 const { handler } = require('./transform-realtime-logs')
+const { hashApiKey } = require('../lib/api-keys')
 
 // Sample CloudFront real-time log TSV line (from your actual logs)
 const sampleTsvLine = `1759687234.191\t32.142.164.10\t65.8.177.136\t0.253\t200\t783\tGET\thttps\td3o60fb1dwgq5k.cloudfront.net\t/example\t201\tSFO53-P9\tHoIW-MaV1Qu7J5kwqnAYBNlsg4iI2MBYb5OXBfykwRAZpAqHmdWtQA==\td3o60fb1dwgq5k.cloudfront.net\t0.253\tHTTP/1.1\tIPv4\tvscode-restclient\t-\t-\t-\tMiss\t-\tTLSv1.3\tTLS_AES_128_GCM_SHA256\tMiss\t-\t-\tapplication/json\t102\t-\t-\t63051\tMiss\tUS\tgzip,%20deflate,%20br\t-\t*\tUser-Agent:vscode-restclient%0AX-Api-Key:pfCCh7ygOr8Gwv8BoGWHG3NO54Csd4aZ6tz1wHBx%0AAccept-Encoding:gzip,%20deflate,%20br%0AHost:d3o60fb1dwgq5k.cloudfront.net%0ACloudfront-Is-Mobile-Viewer:false%0ACloudfront-Is-Tablet-Viewer:false%0ACloudfront-Is-Smarttv-Viewer:false%0ACloudfront-Is-Desktop-Viewer:true%0ACloudfront-Is-Ios-Viewer:false%0ACloudfront-Is-Android-Viewer:false%0ACloudfront-Viewer-Http-Version:1.1%0ACloudfront-Viewer-Country:US%0ACloudfront-Viewer-Country-Name:United%20States%0ACloudfront-Viewer-Country-Region:CA%0ACloudfront-Viewer-Country-Region-Name:California%0ACloudfront-Viewer-City:Corte%20Madera%0ACloudfront-Viewer-Postal-Code:94925%0ACloudfront-Viewer-Time-Zone:America/Los_Angeles%0ACloudfront-Viewer-Metro-Code:807%0ACloudfront-Viewer-Latitude:37.92490%0ACloudfront-Viewer-Longitude:-122.51000%0A\tUser-Agent%0AX-Api-Key%0AAccept-Encoding%0AHost%0ACloudfront-Is-Mobile-Viewer%0ACloudfront-Is-Tablet-Viewer%0ACloudfront-Is-Smarttv-Viewer%0ACloudfront-Is-Desktop-Viewer%0ACloudfront-Is-Ios-Viewer%0ACloudfront-Is-Android-Viewer%0ACloudfront-Viewer-Http-Version%0ACloudfront-Viewer-Country%0ACloudfront-Viewer-Country-Name%0ACloudfront-Viewer-Country-Region%0ACloudfront-Viewer-Country-Region-Name%0ACloudfront-Viewer-City%0ACloudfront-Viewer-Postal-Code%0ACloudfront-Viewer-Time-Zone%0ACloudfront-Viewer-Metro-Code%0ACloudfront-Viewer-Latitude%0ACloudfront-Viewer-Longitude%0ACloudfront-Forwarded-Proto%0ACloudfront-Viewer-Address%0ACloudfront-Viewer-Tls%0ACloudfront-Viewer-Asn%0AConnection%0A\t26\t0.232\t0.232\t7018`
@@ -44,7 +47,7 @@ test('should successfully transform TSV to JSON', async () => {
   assert.is(parsed.x_edge_result_type, 'Miss', 'Cache result should be extracted')
 })
 
-test('should extract API key from cs_headers field', async () => {
+test('should replace the API key with its identifier', async () => {
   const base64Input = Buffer.from(sampleTsvLine, 'utf-8').toString('base64')
 
   const event = {
@@ -55,11 +58,11 @@ test('should extract API key from cs_headers field', async () => {
   const jsonOutput = Buffer.from(result.records[0].data, 'base64').toString('utf-8')
   const parsed = JSON.parse(jsonOutput)
 
+  assert.is(parsed.api_key, hashApiKey('pfCCh7ygOr8Gwv8BoGWHG3NO54Csd4aZ6tz1wHBx'), 'api_key should be the key identifier')
+  assert.is(parsed.api_key_source, 'header:X-Api-Key', 'api_key_source should name the matched source')
   assert.ok(parsed.cs_headers, 'Should have cs_headers field')
-  assert.ok(
-    parsed.cs_headers.includes('X-Api-Key:pfCCh7ygOr8Gwv8BoGWHG3NO54Csd4aZ6tz1wHBx'),
-    'cs_headers should contain the API key'
-  )
+  assert.ok(parsed.cs_headers.includes('X-Api-Key:REDACTED%0A'), 'cs_headers should keep the header without its value')
+  assert.not.ok(jsonOutput.includes('pfCCh7ygOr8Gwv8BoGWHG3NO54Csd4aZ6tz1wHBx'), 'The raw key should not be stored')
 })
 
 test('should handle numeric fields correctly', async () => {
@@ -205,7 +208,7 @@ test('should produce valid JSON output', async () => {
   }, 'Output should be valid JSON')
 })
 
-test('should maintain all 43 fields in output', async () => {
+test('should maintain every configured field in output', async () => {
   const base64Input = Buffer.from(sampleTsvLine, 'utf-8').toString('base64')
 
   const event = {
@@ -237,13 +240,64 @@ test('should maintain all 43 fields in output', async () => {
     )
   })
 
-  // Should have 43 or 44 fields depending on whether cs_bytes is present
+  // The 44 configured fields, api_key, api_key_source and 8 viewer location columns
   const fieldCount = Object.keys(parsed).length
-  assert.ok(fieldCount === 43 || fieldCount === 44, `Should have 43 or 44 fields, got ${fieldCount}`)
+  assert.is(fieldCount, 54, `Should have 54 fields, got ${fieldCount}`)
+})
+
+test('should align fields in the order CloudFront writes them', async () => {
+  const base64Input = Buffer.from(sampleTsvLine, 'utf-8').toString('base64')
+
+  const event = {
+    records: [{ recordId: 'test-record-1', data: base64Input }]
+  }
+
+  const result = await handler(event)
+  const parsed = JSON.parse(Buffer.from(result.records[0].data, 'base64').toString('utf-8'))
+
+  assert.is(parsed.cs_bytes, 201, 'cs_bytes follows cs_uri_stem')
+  assert.is(parsed.x_edge_location, 'SFO53-P9')
+  assert.is(parsed.x_host_header, 'd3o60fb1dwgq5k.cloudfront.net')
+  assert.is(parsed.cs_uri_query, null, 'cs_uri_query follows cs_cookie')
+  assert.is(parsed.x_edge_response_result_type, 'Miss')
+})
+
+test('should decode the viewer location headers into columns', async () => {
+  const base64Input = Buffer.from(sampleTsvLine, 'utf-8').toString('base64')
+
+  const event = {
+    records: [{ recordId: 'test-record-1', data: base64Input }]
+  }
+
+  const result = await handler(event)
+  const parsed = JSON.parse(Buffer.from(result.records[0].data, 'base64').toString('utf-8'))
+
+  assert.is(parsed.viewer_region, 'US-CA')
+  assert.is(parsed.viewer_region_name, 'California')
+  assert.is(parsed.viewer_city, 'Corte Madera')
+  assert.is(parsed.viewer_postal_code, '94925')
+  assert.is(parsed.viewer_time_zone, 'America/Los_Angeles')
+  assert.is(parsed.viewer_metro_code, '807')
+  assert.is(parsed.viewer_latitude, 37.9249)
+  assert.is(parsed.viewer_longitude, -122.51)
+})
+
+test('should fail records whose field layout cannot be determined', async () => {
+  // Two values dropped, the record no longer fits the configured fields
+  const values = sampleTsvLine.split('\t')
+  values.splice(10, 2)
+
+  const event = {
+    records: [{ recordId: 'short-record', data: Buffer.from(values.join('\t'), 'utf-8').toString('base64') }]
+  }
+
+  const result = await handler(event)
+
+  assert.is(result.records[0].result, 'ProcessingFailed')
 })
 
 test('should handle POST request', async () => {
-  // POST request example (without cs_bytes since CloudFront doesn't always include it)
+  // POST request example, cs_bytes (345) follows cs_uri_stem
   const postTsvLine = `1759687169.596\t32.142.164.10\t65.8.177.136\t0.597\t200\t881\tPOST\thttps\td3o60fb1dwgq5k.cloudfront.net\t/data\t345\tSFO53-P9\te84rly0hAmwHfcOz0WdbcRQGN8iPYMjLmNa9gpmGd39dLsOlcxKINg==\td3o60fb1dwgq5k.cloudfront.net\t0.615\tHTTP/1.1\tIPv4\tvscode-restclient\t-\t-\t-\tMiss\t-\tTLSv1.3\tTLS_AES_128_GCM_SHA256\tMiss\t-\t-\tapplication/json\t200\t-\t-\t62915\tMiss\tUS\tgzip,%20deflate,%20br\t-\t*\tUser-Agent:vscode-restclient%0A\tUser-Agent%0A\t28\t0.542\t0.542\t7018`
 
   const base64Input = Buffer.from(postTsvLine, 'utf-8').toString('base64')
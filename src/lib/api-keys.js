@@ -0,0 +1,74 @@
+/**
+ * API key identifiers
+ * Raw API keys are credentials, so logs, Athena tables and DynamoDB items only ever hold a keyed
+ * HMAC-SHA256 of the key. The secret comes from API_KEY_HASH_SECRET and must be the same for
+ * every function and script, otherwise the same key maps to different identifiers
+ */
+
+const crypto = require('crypto')
+
+// Hex digest of HMAC-SHA256
+const KEY_ID_PATTERN = /^[0-9a-f]{64}$/
+
+const MIN_SECRET_LENGTH = 32
+
+/**
+ * Read the HMAC secret, failing closed so raw keys are never stored when it is missing
+ */
+function getHashSecret() {
+  const secret = process.env.API_KEY_HASH_SECRET || ''
+
+  if (secret.length < MIN_SECRET_LENGTH) {
+    throw Object.assign(
+      new Error(`API_KEY_HASH_SECRET must be set to at least ${MIN_SECRET_LENGTH} characters`),
+      { code: 'HASH_SECRET_MISSING' }
+    )
+  }
+
+  return secret
+}
+
+/**
+ * Get the stored identifier of a raw API key
+ * @param {string} apiKey - Raw API key
+ * @returns {string} - 64 character hex HMAC-SHA256
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHmac('sha256', getHashSecret()).update(apiKey).digest('hex')
+}
+
+/**
+ * Accept either a raw API key or an identifier, e.g. from an export or a DynamoDB item
+ * @returns {string} - Identifier
+ */
+function toKeyId(value) {
+  return KEY_ID_PATTERN.test(value) ? value : hashApiKey(value)
+}
+
+/**
+ * Resolve the API keys of one result set to identifiers
+ * Logs delivered before keys were hashed hold raw keys, so a key found both raw and as its
+ * identifier has two rows for one identifier. The later row is reported as a repeat, to be merged
+ * into the item stored for the first rather than overwrite it
+ * @returns {function(string, string[]): {keyId: string, repeat: boolean}} - Raw key or identifier,
+ * and the row's other grouping values, to identifier
+ */
+function createKeyIdResolver() {
+  const seen = new Set()
+
+  return (value, groupValues = []) => {
+    const keyId = toKeyId(value)
+    const rowKey = JSON.stringify([keyId, ...groupValues])
+    const repeat = seen.has(rowKey)
+
+    seen.add(rowKey)
+    return { keyId, repeat }
+  }
+}
+
+module.exports = {
+  KEY_ID_PATTERN,
+  hashApiKey,
+  toKeyId,
+  createKeyIdResolver
+}
@@ -0,0 +1,56 @@
+/**
+ * Tests for api-keys.js
+ * Using uvu test framework
+ */
+
+process.env.API_KEY_HASH_SECRET = 'test-secret-of-at-least-32-characters'
+
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const { KEY_ID_PATTERN, hashApiKey, toKeyId, createKeyIdResolver } = require('./api-keys')
+
+test('should hash keys into stable identifiers', () => {
+  const keyId = hashApiKey('pfCCh7ygOr8Gwv8BoGWHG3NO54Csd4aZ6tz1wHBx')
+
+  assert.ok(KEY_ID_PATTERN.test(keyId))
+  assert.is(hashApiKey('pfCCh7ygOr8Gwv8BoGWHG3NO54Csd4aZ6tz1wHBx'), keyId)
+  assert.is.not(hashApiKey('GYGtqyWIyD1vdVJ3E3L6j4w9kxAe3Bld1zaBMqV1'), keyId)
+})
+
+test('should accept raw keys and identifiers', () => {
+  const keyId = hashApiKey('key-1')
+
+  assert.is(toKeyId('key-1'), keyId)
+  assert.is(toKeyId(keyId), keyId)
+})
+
+test('should resolve raw keys of a result set to identifiers', () => {
+  const resolveKeyId = createKeyIdResolver()
+  const keyId = hashApiKey('pfCCh7ygOr8Gwv8BoGWHG3NO54Csd4aZ6tz1wHBx')
+  const otherKeyId = hashApiKey('GYGtqyWIyD1vdVJ3E3L6j4w9kxAe3Bld1zaBMqV1')
+
+  assert.equal(resolveKeyId('pfCCh7ygOr8Gwv8BoGWHG3NO54Csd4aZ6tz1wHBx', ['2025-09-01T00:00:00Z']), { keyId, repeat: false }, 'Raw keys are never stored or logged')
+  assert.equal(resolveKeyId(otherKeyId, ['2025-09-01T00:00:00Z']), { keyId: otherKeyId, repeat: false })
+  assert.equal(resolveKeyId(keyId, ['2025-09-01T01:00:00Z']), { keyId, repeat: false })
+})
+
+test('should report a key found both raw and hashed as a repeat', () => {
+  const resolveKeyId = createKeyIdResolver()
+  const keyId = hashApiKey('pfCCh7ygOr8Gwv8BoGWHG3NO54Csd4aZ6tz1wHBx')
+
+  assert.equal(resolveKeyId(keyId, ['GET', '/users/{id}']), { keyId, repeat: false })
+  assert.equal(resolveKeyId('pfCCh7ygOr8Gwv8BoGWHG3NO54Csd4aZ6tz1wHBx', ['GET', '/users/{id}']), { keyId, repeat: true })
+})
+
+test('should refuse to hash without a secret', () => {
+  const secret = process.env.API_KEY_HASH_SECRET
+  process.env.API_KEY_HASH_SECRET = 'short'
+
+  try {
+    assert.throws(() => hashApiKey('key-1'), /API_KEY_HASH_SECRET/)
+  } finally {
+    process.env.API_KEY_HASH_SECRET = secret
+  }
+})
+
+test.run()
@@ -0,0 +1,149 @@
+/**
+ * Shared Athena helpers
+ * Starts queries, waits for them to finish and pages through every page of results
+ */
+
+const {
+  AthenaClient,
+  StartQueryExecutionCommand,
+  GetQueryExecutionCommand,
+  GetQueryResultsCommand
+} = require('@aws-sdk/client-athena')
+
+const athena = new AthenaClient({ region: process.env.AWS_REGION || 'us-east-1' })
+
+// GetQueryResults returns at most 1000 rows per call
+const PAGE_SIZE = 1000
+
+/**
+ * Wait for Athena query to complete
+ */
+async function waitForQueryResults(queryExecutionId, maxAttempts = 60) {
+  for (let i = 0; i < maxAttempts; i++) {
+    const response = await athena.send(
+      new GetQueryExecutionCommand({ QueryExecutionId: queryExecutionId })
+    )
+
+    const state = response.QueryExecution.Status.State
+
+    if (state === 'SUCCEEDED') {
+      return response.QueryExecution
+    } else if (state === 'FAILED' || state === 'CANCELLED') {
+      throw new Error(
+        `Query failed: ${response.QueryExecution.Status.StateChangeReason}`
+      )
+    }
+
+    // Wait 2 seconds before checking again
+    await new Promise(resolve => setTimeout(resolve, 2000))
+  }
+
+  throw new Error('Query timed out')
+}
+
+/**
+ * Start an Athena query and return its execution ID
+ * @param {string} query - SQL with a `?` placeholder for every value
+ * @param {object} options
+ * @param {string[]} [options.parameters] - ExecutionParameters, in placeholder order
+ */
+async function startQuery(query, { database, outputLocation, parameters = [] }) {
+  const queryExecution = await athena.send(
+    new StartQueryExecutionCommand({
+      QueryString: query,
+      QueryExecutionContext: { Database: database },
+      ResultConfiguration: { OutputLocation: outputLocation },
+      ExecutionParameters: parameters.length > 0 ? parameters : undefined,
+    })
+  )
+
+  return queryExecution.QueryExecutionId
+}
+
+/**
+ * Page through all results of a finished query
+ * Calls onRows(rows, headers) once per page with the header row stripped
+ * @returns {Promise<number>} - Total number of data rows read
+ */
+async function forEachResultPage(queryExecutionId, onRows) {
+  let nextToken
+  let headers = null
+  let rowCount = 0
+
+  do {
+    const results = await athena.send(
+      new GetQueryResultsCommand({
+        QueryExecutionId: queryExecutionId,
+        MaxResults: PAGE_SIZE,
+        NextToken: nextToken
+      })
+    )
+
+    let rows = results.ResultSet.Rows || []
+
+    // Only the first page starts with the column header row
+    if (!headers) {
+      headers = rows.length > 0 ? rows[0].Data.map(d => d.VarCharValue) : []
+      rows = rows.slice(1)
+    }
+
+    if (rows.length > 0) {
+      await onRows(rows, headers)
+      rowCount += rows.length
+    }
+
+    nextToken = results.NextToken
+  } while (nextToken)
+
+  return rowCount
+}
+
+/**
+ * Read every result row of a finished query, header row included
+ */
+async function getAllResultRows(queryExecutionId) {
+  let headerRow = null
+  const dataRows = []
+
+  await forEachResultPage(queryExecutionId, (rows, headers) => {
+    headerRow = headerRow || { Data: headers.map(header => ({ VarCharValue: header })) }
+    dataRows.push(...rows)
+  })
+
+  return headerRow ? [headerRow, ...dataRows] : []
+}
+
+/**
+ * Execute Athena query and stream its results page by page to onRows
+ * @returns {Promise<{queryExecutionId: string, rowCount: number}>}
+ */
+async function executeAthenaQuery(query, { database, outputLocation, parameters = [], onRows }) {
+  console.log('Executing Athena query:', query, parameters)
+
+  const queryExecutionId = await startQuery(query, { database, outputLocation, parameters })
+  console.log('Query execution ID:', queryExecutionId)
+
+  const execution = await waitForQueryResults(queryExecutionId)
+
+  // Log query stats
+  const stats = execution.Statistics || {}
+  console.log('Query stats:', {
+    dataScannedInBytes: stats.DataScannedInBytes,
+    dataScannedInMB: (stats.DataScannedInBytes / 1024 / 1024).toFixed(2),
+    executionTimeInMs: stats.EngineExecutionTimeInMillis,
+    totalTimeInMs: stats.TotalExecutionTimeInMillis
+  })
+
+  const rowCount = await forEachResultPage(queryExecutionId, onRows)
+  console.log(`Read ${rowCount} result rows`)
+
+  return { queryExecutionId, rowCount }
+}
+
+module.exports = {
+  waitForQueryResults,
+  startQuery,
+  forEachResultPage,
+  getAllResultRows,
+  executeAthenaQuery
+}
@@ -0,0 +1,80 @@
+/**
+ * Caller authorization for the usage API
+ * The caller is identified by the API key API Gateway validated for the request
+ * (requestContext.identity, from the X-Api-Key header), never by request parameters. Callers may
+ * read the usage of their own key and of other keys of the same customer; admin keys may read any key.
+ * Keys are resolved to their HMAC identifiers (see lib/api-keys), the form usage is stored under.
+ * Other keys are selected by identifier only, raw keys in query strings end up in access logs
+ */
+
+const { getCustomer } = require('./customers')
+const { KEY_ID_PATTERN, hashApiKey } = require('./api-keys')
+
+/**
+ * API key ids (not key values) allowed to read the usage of every customer
+ */
+function getAdminApiKeyIds() {
+  return (process.env.ADMIN_API_KEY_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean)
+}
+
+/**
+ * Get the authenticated caller of an API Gateway request
+ * @returns {{apiKey: string|null, apiKeyId: string|null, isAdmin: boolean}} - apiKey is the key identifier
+ */
+function getCaller(event) {
+  const identity = event.requestContext?.identity || {}
+
+  return {
+    apiKey: identity.apiKey ? hashApiKey(identity.apiKey) : null,
+    apiKeyId: identity.apiKeyId || null,
+    isAdmin: Boolean(identity.apiKeyId) && getAdminApiKeyIds().includes(identity.apiKeyId)
+  }
+}
+
+/**
+ * Decide which API key's usage a request may read
+ * Defaults to the caller's own key when no api_key parameter is given; the parameter must be a
+ * key identifier
+ * @returns {Promise<{apiKey: string}|{statusCode: number, error: string}>} - apiKey is the key identifier
+ */
+async function authorizeApiKey(event, requestedKey) {
+  const caller = getCaller(event)
+
+  if (!caller.apiKey && !caller.isAdmin) {
+    return { statusCode: 403, error: 'Request is not authenticated with an API key' }
+  }
+
+  if (requestedKey && !KEY_ID_PATTERN.test(requestedKey)) {
+    return { statusCode: 400, error: 'api_key must be a key identifier, raw keys are only accepted in the X-Api-Key header' }
+  }
+  const requestedApiKey = requestedKey || null
+
+  if (!requestedApiKey) {
+    return caller.apiKey
+      ? { apiKey: caller.apiKey }
+      : { statusCode: 400, error: 'api_key parameter is required' }
+  }
+
+  if (caller.isAdmin || requestedApiKey === caller.apiKey) {
+    return { apiKey: requestedApiKey }
+  }
+
+  const [callerCustomer, requestedCustomer] = await Promise.all([
+    getCustomer(caller.apiKey),
+    getCustomer(requestedApiKey)
+  ])
+
+  if (callerCustomer && requestedCustomer && callerCustomer.customerId === requestedCustomer.customerId) {
+    return { apiKey: requestedApiKey }
+  }
+
+  return { statusCode: 403, error: 'Not allowed to read usage of another customer' }
+}
+
+module.exports = {
+  getCaller,
+  authorizeApiKey
+}
@@ -0,0 +1,62 @@
+/**
+ * Tests for authorization.js
+ * Using uvu test framework
+ */
+
+process.env.ADMIN_API_KEY_IDS = 'admin-key-id'
+process.env.API_KEY_HASH_SECRET = 'test-secret-of-at-least-32-characters'
+
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const { getCaller, authorizeApiKey } = require('./authorization')
+const { hashApiKey } = require('./api-keys')
+
+/**
+ * API Gateway event of a request made with an API key
+ */
+function requestWith(apiKey, apiKeyId) {
+  return { requestContext: { identity: { apiKey, apiKeyId } } }
+}
+
+test('should identify the caller from the request identity', () => {
+  assert.equal(getCaller(requestWith('key-1', 'id-1')), { apiKey: hashApiKey('key-1'), apiKeyId: 'id-1', isAdmin: false })
+  assert.is(getCaller(requestWith('key-0', 'admin-key-id')).isAdmin, true)
+  assert.equal(getCaller({}), { apiKey: null, apiKeyId: null, isAdmin: false })
+})
+
+test('should default to the caller\'s own key', async () => {
+  assert.equal(await authorizeApiKey(requestWith('key-1', 'id-1')), { apiKey: hashApiKey('key-1') })
+  assert.equal(
+    await authorizeApiKey(requestWith('key-1', 'id-1'), hashApiKey('key-1')),
+    { apiKey: hashApiKey('key-1') },
+    'Identifiers are accepted as api_key'
+  )
+})
+
+test('should reject raw keys as api_key', async () => {
+  const result = await authorizeApiKey(requestWith('key-1', 'id-1'), 'key-1')
+
+  assert.is(result.statusCode, 400)
+  assert.is(result.apiKey, undefined)
+  assert.match(result.error, 'X-Api-Key header')
+})
+
+test('should reject unauthenticated requests', async () => {
+  const result = await authorizeApiKey({ queryStringParameters: { api_key: hashApiKey('key-1') } }, hashApiKey('key-1'))
+
+  assert.is(result.statusCode, 403)
+})
+
+test('should reject reading another customer\'s key', async () => {
+  const result = await authorizeApiKey(requestWith('key-1', 'id-1'), hashApiKey('key-2'))
+
+  assert.is(result.statusCode, 403)
+  assert.is(result.apiKey, undefined)
+})
+
+test('should let admin keys read any key', async () => {
+  assert.equal(await authorizeApiKey(requestWith('key-0', 'admin-key-id'), hashApiKey('key-2')), { apiKey: hashApiKey('key-2') })
+})
+
+// Run all tests
+test.run()
@@ -0,0 +1,119 @@
+/**
+ * Billing Athena queries generated from the pricing catalog
+ * Shared by the rollup Lambda and scripts/query-usage.js so both price usage the same way
+ */
+
+const { buildPriceCase, buildBandwidthPriceCase, buildBillableCondition } = require('./pricing')
+const { buildEventDayFilter } = require('./event-time')
+
+/**
+ * Billing calculation query with geographic pricing, by viewer region where the version prices regions
+ * Responses excluded by the version's billable_statuses rule are not charged
+ * @param {string} date - Billing day (YYYY-MM-DD), selected by event timestamp
+ * @param {object} pricing - Pricing version from getPricingForDate
+ * @param {{scanDays?: number}} options - Arrival partitions to scan, see buildEventDayFilter
+ * @returns {{query: string, parameters: string[]}}
+ */
+function buildBillingQuery(date, pricing, { scanDays } = {}) {
+  const priceCase = buildBandwidthPriceCase(pricing.bandwidth)
+  const billable = buildBillableCondition(pricing.billable_statuses)
+  const eventDay = buildEventDayFilter(date, scanDays)
+
+  const query = `
+    WITH geo_usage AS (
+      SELECT
+        api_key,
+        c_country,
+        viewer_region,
+        COUNT(*) as requests,
+        SUM(sc_bytes) / 1024.0 / 1024.0 / 1024.0 as gb_transferred,
+        ? as price_per_request,
+        ${priceCase.sql} as price_per_gb
+      FROM cloudfront_realtime_logs
+      WHERE ${eventDay.sql}
+        AND api_key IS NOT NULL
+        AND ${billable.sql}
+      GROUP BY
+        api_key,
+        c_country,
+        viewer_region
+    )
+    SELECT
+      api_key,
+      SUM(requests) as total_requests,
+      ROUND(SUM(gb_transferred), 4) as total_gb,
+      ROUND(SUM(requests * price_per_request), 4) as request_cost_usd,
+      ROUND(SUM(gb_transferred * price_per_gb), 4) as bandwidth_cost_usd,
+      ROUND(SUM(requests * price_per_request) + SUM(gb_transferred * price_per_gb), 4) as total_cost_usd
+    FROM geo_usage
+    GROUP BY api_key
+    ORDER BY total_cost_usd DESC
+  `
+
+  const parameters = [
+    String(pricing.request_price_usd),
+    ...priceCase.parameters,
+    ...eventDay.parameters,
+    ...billable.parameters
+  ]
+
+  return { query, parameters }
+}
+
+/**
+ * Cache-based discount pricing query
+ * Responses excluded by the version's billable_statuses rule are not charged
+ * @param {string} date - Billing day (YYYY-MM-DD), selected by event timestamp
+ * @param {object} pricing - Pricing version from getPricingForDate
+ * @param {{scanDays?: number}} options - Arrival partitions to scan, see buildEventDayFilter
+ * @returns {{query: string, parameters: string[]}}
+ */
+function buildCacheDiscountQuery(date, pricing, { scanDays } = {}) {
+  const priceCase = buildPriceCase(
+    'x_edge_result_type',
+    pricing.cache.result_type_prices_per_gb,
+    pricing.cache.default_price_per_gb
+  )
+  const billable = buildBillableCondition(pricing.billable_statuses)
+  const eventDay = buildEventDayFilter(date, scanDays)
+
+  const query = `
+    WITH cache_metrics AS (
+      SELECT
+        api_key,
+        x_edge_result_type,
+        COUNT(*) as requests,
+        SUM(sc_bytes) / 1024.0 / 1024.0 / 1024.0 as gb_transferred,
+        ${priceCase.sql} as price_per_gb
+      FROM cloudfront_realtime_logs
+      WHERE ${eventDay.sql}
+        AND api_key IS NOT NULL
+        AND ${billable.sql}
+      GROUP BY
+        api_key,
+        x_edge_result_type
+    )
+    SELECT
+      api_key,
+      SUM(requests) as total_requests,
+      ROUND(SUM(gb_transferred), 4) as total_gb,
+      ROUND(SUM(gb_transferred * price_per_gb), 4) as total_cost_usd,
+      ROUND(SUM(CASE WHEN x_edge_result_type IN ('Hit', 'RefreshHit') THEN requests ELSE 0 END) * 100.0 / SUM(requests), 2) as cache_hit_rate
+    FROM cache_metrics
+    GROUP BY api_key
+    ORDER BY total_cost_usd DESC
+  `
+
+  const parameters = [
+    ...priceCase.parameters,
+    ...eventDay.parameters,
+    ...billable.parameters
+  ]
+
+  return { query, parameters }
+}
+
+module.exports = {
+  buildBillingQuery,
+  buildCacheDiscountQuery
+}
@@ -0,0 +1,214 @@
+/**
+ * API key credential resolver
+ * Clients send their key in a header, as a bearer token, in the query string or in a cookie.
+ * Sources are checked in the order configured in API_KEY_SOURCES, e.g.
+ * 'header:X-Api-Key,bearer,query:cf_api_key,cookie:api_key', and the first one holding a key wins.
+ * Used on real-time log records (lib/realtime-logs) and, for the columns standard logs have, in the
+ * legacy rollup's Athena query
+ */
+
+const CREDENTIAL_SOURCE_TYPES = ['header', 'bearer', 'query', 'cookie']
+
+const DEFAULT_API_KEY_SOURCES = 'header:X-Api-Key,bearer,query:cf_api_key,cookie:api_key'
+
+// Names are interpolated into patterns and SQL, keep them to token characters
+const SOURCE_NAME_PATTERN = /^[A-Za-z0-9_-]+$/
+
+const REDACTED = 'REDACTED'
+
+/**
+ * Parse an ordered list of credential sources
+ * @param {string} [spec] - Comma separated `type:name` entries (bearer takes no name), defaults to API_KEY_SOURCES
+ * @returns {Array<{type: string, name?: string, label: string}>}
+ */
+function parseCredentialSources(spec = process.env.API_KEY_SOURCES || DEFAULT_API_KEY_SOURCES) {
+  return spec.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [type, name] = entry.split(':')
+
+    if (!CREDENTIAL_SOURCE_TYPES.includes(type)) {
+      throw new Error(`Unknown credential source "${entry}", expected one of ${CREDENTIAL_SOURCE_TYPES.join(', ')}`)
+    }
+    if (type === 'bearer') {
+      return { type, name: 'Authorization', label: 'bearer' }
+    }
+    if (!name || !SOURCE_NAME_PATTERN.test(name)) {
+      throw new Error(`Credential source "${entry}" needs a name made of letters, digits, - or _`)
+    }
+
+    return { type, name, label: `${type}:${name}` }
+  })
+}
+
+/**
+ * Pattern matching a source's value in its log field, value in the second group
+ * cs_headers lines are `Name:value` separated by %0A, header names are case-insensitive
+ */
+function sourcePattern(source, flags = '') {
+  switch (source.type) {
+    case 'header':
+    case 'bearer':
+      return new RegExp(`((?:^|%0A)${source.name}:)(.*?)(?=%0A|$)`, `i${flags}`)
+    case 'query':
+      return new RegExp(`((?:^|&)${source.name}=)([^&]*)`, flags)
+    case 'cookie':
+      return new RegExp(`((?:^|;)(?:%20|\\s)*${source.name}=)([^;]*)`, flags)
+  }
+}
+
+// Log field each source type is read from
+const SOURCE_FIELDS = {
+  header: 'cs_headers',
+  bearer: 'cs_headers',
+  query: 'cs_uri_query',
+  cookie: 'cs_cookie'
+}
+
+// Cookies are also logged as the Cookie line of cs_headers
+const COOKIE_HEADER = { type: 'header', name: 'Cookie' }
+
+/**
+ * Decode a URL-encoded log value, null when it is not valid
+ */
+function decodeValue(value) {
+  try {
+    return decodeURIComponent(value)
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Read the API key one source holds in a log record
+ */
+function readCredential(record, source) {
+  const field = record[SOURCE_FIELDS[source.type]]
+  const match = field ? field.match(sourcePattern(source)) : null
+  const value = match ? decodeValue(match[2])?.trim() : null
+
+  if (source.type === 'bearer') {
+    return value?.match(/^Bearer\s+(\S+)$/i)?.[1] || null
+  }
+
+  return value || null
+}
+
+/**
+ * Find the API key of a log record
+ * @param {object} record - Record with cs_headers, cs_uri_query and cs_cookie (URL-encoded as logged)
+ * @param {object[]} [sources] - From parseCredentialSources
+ * @returns {{apiKey: string, source: string}|null} - Raw key and the label of the source it came from
+ */
+function resolveCredential(record, sources = parseCredentialSources()) {
+  for (const source of sources) {
+    const apiKey = readCredential(record, source)
+    if (apiKey) {
+      return { apiKey, source: source.label }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Replace the values of every credential source in a log record's fields
+ * The whole Authorization header is redacted when bearer tokens are a source, cookie sources are
+ * redacted both in cs_cookie and in the Cookie header
+ * @returns {object} - The scrubbed fields, to assign over the record
+ */
+function scrubCredentials(record, sources = parseCredentialSources()) {
+  const scrubbed = {}
+
+  for (const source of sources) {
+    const field = SOURCE_FIELDS[source.type]
+    const value = scrubbed[field] ?? record[field]
+
+    if (value) {
+      scrubbed[field] = value.replace(sourcePattern(source, 'g'), `$1${REDACTED}`)
+    }
+
+    const headers = scrubbed.cs_headers ?? record.cs_headers
+    if (source.type === 'cookie' && headers) {
+      scrubbed.cs_headers = headers.replace(sourcePattern(COOKIE_HEADER, 'g'), (line, name, cookies) =>
+        name + cookies.replace(sourcePattern(source, 'g'), `$1${REDACTED}`)
+      )
+    }
+  }
+
+  return scrubbed
+}
+
+/**
+ * Fields a value of a raw log line may be read as when the line's field layout is unknown
+ * Header lists (lines separated by %0A) are only read as cs_headers, other values as any field
+ */
+function getCandidateFields(value) {
+  return value.includes('%0A') ? ['cs_headers'] : [...new Set(Object.values(SOURCE_FIELDS))]
+}
+
+/**
+ * Find the API key of a raw TSV log line, e.g. one the transform failed to lay out
+ * @returns {{apiKey: string, source: string}|null} - Raw key and the label of the source it came from
+ */
+function resolveLineCredential(line, sources = parseCredentialSources()) {
+  const values = line.split(/[\t\n]/)
+
+  for (const source of sources) {
+    const field = SOURCE_FIELDS[source.type]
+
+    for (const value of values) {
+      const apiKey = getCandidateFields(value).includes(field) ? readCredential({ [field]: value }, source) : null
+      if (apiKey) {
+        return { apiKey, source: source.label }
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Replace the values of every credential source in a raw TSV log line
+ * Each value is scrubbed as every field it may be, see getCandidateFields
+ * @returns {string}
+ */
+function scrubLogLine(line, sources = parseCredentialSources()) {
+  return line.split('\n').map(row => row.split('\t').map((value) => {
+    let scrubbed = value
+
+    for (const field of getCandidateFields(value)) {
+      scrubbed = scrubCredentials({ [field]: scrubbed }, sources)[field] ?? scrubbed
+    }
+
+    return scrubbed
+  }).join('\t')).join('\n')
+}
+
+/**
+ * Build an Athena expression resolving the API key from the columns of a table
+ * Sources without a column (standard logs have no request headers) are skipped
+ * @param {object[]} sources - From parseCredentialSources
+ * @param {{query?: string, cookie?: string}} columns - Column holding each source type
+ * @returns {string} - URL-decoded key, NULL when no source holds one
+ */
+function buildCredentialSql(sources, columns) {
+  const extracts = sources
+    .filter(source => columns[source.type])
+    .map(source => `NULLIF(regexp_extract(${columns[source.type]}, '${sourcePattern(source).source}', 2), '')`)
+
+  if (extracts.length === 0) {
+    throw new Error('None of the credential sources can be read from this table')
+  }
+
+  return `url_decode(COALESCE(${extracts.join(', ')}))`
+}
+
+module.exports = {
+  CREDENTIAL_SOURCE_TYPES,
+  DEFAULT_API_KEY_SOURCES,
+  parseCredentialSources,
+  resolveCredential,
+  scrubCredentials,
+  resolveLineCredential,
+  scrubLogLine,
+  buildCredentialSql
+}
@@ -0,0 +1,103 @@
+/**
+ * Tests for credentials.js
+ * Using uvu test framework
+ */
+
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const {
+  parseCredentialSources,
+  resolveCredential,
+  scrubCredentials,
+  buildCredentialSql
+} = require('./credentials')
+
+const SOURCES = parseCredentialSources('header:X-Api-Key,bearer,query:cf_api_key,cookie:api_key')
+
+test('should read an ordered list of sources', () => {
+  assert.equal(SOURCES.map(source => source.label), ['header:X-Api-Key', 'bearer', 'query:cf_api_key', 'cookie:api_key'])
+  assert.is(SOURCES[1].name, 'Authorization')
+})
+
+test('should reject unknown source types and unsafe names', () => {
+  assert.throws(() => parseCredentialSources('path:key'), /Unknown credential source/)
+  assert.throws(() => parseCredentialSources('query'), /needs a name/)
+  assert.throws(() => parseCredentialSources("query:key')--"), /needs a name/)
+})
+
+test('should read a header case-insensitively', () => {
+  const credential = resolveCredential({ cs_headers: 'User-Agent:curl%0Ax-api-key:abc123%0AHost:example.com%0A' }, SOURCES)
+
+  assert.equal(credential, { apiKey: 'abc123', source: 'header:X-Api-Key' })
+})
+
+test('should read a bearer token', () => {
+  const credential = resolveCredential({ cs_headers: 'Authorization:Bearer%20tok-123%0AHost:example.com%0A' }, SOURCES)
+
+  assert.equal(credential, { apiKey: 'tok-123', source: 'bearer' })
+  assert.is(resolveCredential({ cs_headers: 'Authorization:Basic%20dXNlcjpwYXNz%0A' }, SOURCES), null)
+})
+
+test('should read query parameters and cookies', () => {
+  assert.equal(
+    resolveCredential({ cs_uri_query: 'page=2&cf_api_key=q%2Bkey', cs_cookie: null }, SOURCES),
+    { apiKey: 'q+key', source: 'query:cf_api_key' }
+  )
+  assert.equal(
+    resolveCredential({ cs_uri_query: 'not_cf_api_key=x', cs_cookie: 'session=1;%20api_key=c-key' }, SOURCES),
+    { apiKey: 'c-key', source: 'cookie:api_key' }
+  )
+})
+
+test('should check sources in order', () => {
+  const record = {
+    cs_headers: 'X-Api-Key:from-header%0A',
+    cs_uri_query: 'cf_api_key=from-query'
+  }
+
+  assert.is(resolveCredential(record, SOURCES).source, 'header:X-Api-Key')
+  assert.is(resolveCredential(record, parseCredentialSources('query:cf_api_key,header:X-Api-Key')).source, 'query:cf_api_key')
+  assert.is(resolveCredential({ cs_headers: 'X-Api-Key:%0A' }, SOURCES), null)
+})
+
+test('should redact every configured source', () => {
+  const scrubbed = scrubCredentials({
+    cs_headers: 'x-api-key:abc123%0AAuthorization:Bearer%20tok-123%0AHost:example.com%0A',
+    cs_uri_query: 'cf_api_key=q-key&page=2',
+    cs_cookie: 'api_key=c-key;%20session=1'
+  }, SOURCES)
+
+  assert.equal(scrubbed, {
+    cs_headers: 'x-api-key:REDACTED%0AAuthorization:REDACTED%0AHost:example.com%0A',
+    cs_uri_query: 'cf_api_key=REDACTED&page=2',
+    cs_cookie: 'api_key=REDACTED;%20session=1'
+  })
+  assert.equal(scrubCredentials({ cs_headers: null }, SOURCES), {})
+})
+
+test('should redact cookie sources in the Cookie header too', () => {
+  const record = {
+    cs_headers: 'Host:example.com%0ACookie:session=1;%20api_key=c-key-123;%20theme=dark%0AAccept:*/*%0A',
+    cs_cookie: 'session=1;%20api_key=c-key-123;%20theme=dark'
+  }
+  const scrubbed = scrubCredentials(record, SOURCES)
+
+  assert.is(resolveCredential(record, SOURCES).source, 'cookie:api_key')
+  assert.is(scrubbed.cs_headers, 'Host:example.com%0ACookie:session=1;%20api_key=REDACTED;%20theme=dark%0AAccept:*/*%0A')
+  assert.is(scrubbed.cs_cookie, 'session=1;%20api_key=REDACTED;%20theme=dark')
+  assert.not.ok(scrubbed.cs_headers.includes('c-key-123'), 'cs_headers should not hold the raw key')
+  assert.not.ok(scrubbed.cs_cookie.includes('c-key-123'), 'cs_cookie should not hold the raw key')
+})
+
+test('should only read the columns a table has in SQL', () => {
+  const sql = buildCredentialSql(SOURCES, { query: 'cs_uri_query', cookie: 'cs_cookie' })
+
+  assert.ok(sql.startsWith('url_decode(COALESCE('))
+  assert.ok(sql.includes("regexp_extract(cs_uri_query, '((?:^|&)cf_api_key=)([^&]*)', 2)"))
+  assert.ok(sql.includes('regexp_extract(cs_cookie,'))
+  assert.not.ok(sql.includes('X-Api-Key'))
+  assert.throws(() => buildCredentialSql(parseCredentialSources('bearer'), { query: 'cs_uri_query' }), /None of the credential sources/)
+})
+
+// Run all tests
+test.run()
@@ -0,0 +1,85 @@
+/**
+ * Customer registry
+ * Maps API keys to a customer, the plan they are on and their billing anchor day.
+ * Records live in the customers table; plans themselves come from the plan catalog
+ */
+
+const {
+  DynamoDBClient,
+  GetItemCommand,
+  PutItemCommand
+} = require('@aws-sdk/client-dynamodb')
+const { assertIdentifier } = require('./validation')
+const { assertAnchorDay, getPlan } = require('./plans')
+
+const dynamodb = new DynamoDBClient()
+
+const CUSTOMERS_TABLE = process.env.CUSTOMERS_TABLE
+
+// Lookups are cached per container, a rollup sees the same keys on every row
+const cachedCustomers = new Map()
+
+/**
+ * Convert a customers table item into a customer record
+ */
+function parseCustomer(item) {
+  return {
+    apiKey: item.api_key.S,
+    customerId: item.customer_id.S,
+    planId: item.plan_id.S,
+    billingAnchorDay: parseInt(item.billing_anchor_day.N, 10)
+  }
+}
+
+/**
+ * Get the customer an API key belongs to
+ * @returns {Promise<object|null>} - Customer record, or null for keys without one
+ */
+async function getCustomer(apiKey) {
+  if (!CUSTOMERS_TABLE) {
+    return null
+  }
+
+  if (!cachedCustomers.has(apiKey)) {
+    const response = await dynamodb.send(
+      new GetItemCommand({
+        TableName: CUSTOMERS_TABLE,
+        Key: { api_key: { S: apiKey } },
+      })
+    )
+
+    cachedCustomers.set(apiKey, response.Item ? parseCustomer(response.Item) : null)
+  }
+
+  return cachedCustomers.get(apiKey)
+}
+
+/**
+ * Assign an API key to a customer and plan
+ */
+async function putCustomer({ apiKey, customerId, planId, billingAnchorDay = 1 }) {
+  assertIdentifier(apiKey, 'API key')
+  assertIdentifier(customerId, 'customer id')
+  getPlan(planId)
+  assertAnchorDay(billingAnchorDay)
+
+  await dynamodb.send(
+    new PutItemCommand({
+      TableName: CUSTOMERS_TABLE,
+      Item: {
+        api_key: { S: apiKey },
+        customer_id: { S: customerId },
+        plan_id: { S: planId },
+        billing_anchor_day: { N: billingAnchorDay.toString() },
+        last_updated: { S: new Date().toISOString() },
+      },
+    })
+  )
+
+  cachedCustomers.delete(apiKey)
+}
+
+module.exports = {
+  getCustomer,
+  putCustomer
+}
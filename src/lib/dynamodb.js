@@ -0,0 +1,149 @@
+/**
+ * Shared DynamoDB helpers
+ * Paginated queries, key listing and cleanup of items left behind by earlier rollup runs
+ */
+
+const {
+  DynamoDBClient,
+  QueryCommand,
+  DeleteItemCommand
+} = require('@aws-sdk/client-dynamodb')
+
+const dynamodb = new DynamoDBClient()
+
+/**
+ * Run a query and follow LastEvaluatedKey until every page has been read
+ * @param {object} input - QueryCommand input
+ * @returns {Promise<object[]>} - All matching items
+ */
+async function queryAll(input) {
+  const items = []
+  let exclusiveStartKey
+
+  do {
+    const response = await dynamodb.send(
+      new QueryCommand({ ...input, ExclusiveStartKey: exclusiveStartKey })
+    )
+
+    items.push(...(response.Items || []))
+    exclusiveStartKey = response.LastEvaluatedKey
+  } while (exclusiveStartKey)
+
+  return items
+}
+
+/**
+ * Delete items for a period that were not written by the given rollup run
+ * Items are found through an index keyed on the period attribute, so keys that
+ * disappeared from the latest result set are removed instead of lingering
+ * @param {object} options
+ * @param {string} options.tableName - Table holding the rollup items
+ * @param {string} options.indexName - Index whose partition key is the period attribute
+ * @param {string} options.periodAttribute - Name of the period attribute, e.g. 'date'
+ * @param {string} options.periodValue - Period to clean up, e.g. '2025-10-05T00:00:00Z'
+ * @param {string[]} options.keyAttributes - Table primary key attribute names
+ * @param {string} options.runId - ID of the run whose items should be kept
+ * @returns {Promise<number>} - Number of items deleted
+ */
+async function deleteStaleItems({
+  tableName,
+  indexName,
+  periodAttribute,
+  periodValue,
+  keyAttributes,
+  runId
+}) {
+  const items = await queryAll({
+    TableName: tableName,
+    IndexName: indexName,
+    KeyConditionExpression: '#period = :period',
+    ExpressionAttributeNames: { '#period': periodAttribute },
+    ExpressionAttributeValues: { ':period': { S: periodValue } },
+  })
+
+  let deleted = 0
+
+  for (const item of items) {
+    if (item.run_id?.S === runId) continue
+
+    const key = {}
+    for (const attribute of keyAttributes) {
+      key[attribute] = item[attribute]
+    }
+
+    try {
+      await dynamodb.send(
+        new DeleteItemCommand({
+          TableName: tableName,
+          Key: key,
+          // Never remove an item that was rewritten by this run in the meantime
+          ConditionExpression: 'attribute_not_exists(run_id) OR run_id <> :run',
+          ExpressionAttributeValues: { ':run': { S: runId } },
+        })
+      )
+      deleted++
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') throw error
+    }
+  }
+
+  if (deleted > 0) {
+    console.log(`Deleted ${deleted} stale items from ${tableName} for ${periodValue}`)
+  }
+
+  return deleted
+}
+
+/**
+ * Get the usage items of one API key within a usage range
+ * @param {string} tableName - Daily or hourly usage metrics table
+ * @param {string} apiKey
+ * @param {{startKey: string, endKey: string}} range - Inclusive sort key bounds, see usage-range
+ * @returns {Promise<object[]>}
+ */
+async function queryUsageItems(tableName, apiKey, range) {
+  return queryAll({
+    TableName: tableName,
+    KeyConditionExpression: 'api_key = :key AND #date BETWEEN :start AND :end',
+    ExpressionAttributeNames: { '#date': 'date' },
+    ExpressionAttributeValues: {
+      ':key': { S: apiKey },
+      ':start': { S: range.startKey },
+      ':end': { S: range.endKey },
+    },
+  })
+}
+
+/**
+ * Find every API key with a daily usage item between two dates (inclusive)
+ * @param {string} tableName - Daily usage metrics table (with a DateIndex)
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Promise<string[]>} - Sorted API keys
+ */
+async function listApiKeysWithUsage(tableName, startDate, endDate) {
+  const apiKeys = new Set()
+
+  for (let day = new Date(`${startDate}T00:00:00Z`); day <= new Date(`${endDate}T00:00:00Z`); day.setUTCDate(day.getUTCDate() + 1)) {
+    const items = await queryAll({
+      TableName: tableName,
+      IndexName: 'DateIndex',
+      KeyConditionExpression: '#date = :date',
+      ExpressionAttributeNames: { '#date': 'date' },
+      ExpressionAttributeValues: {
+        ':date': { S: `${day.toISOString().split('T')[0]}T00:00:00Z` },
+      },
+    })
+
+    items.forEach(item => apiKeys.add(item.api_key.S))
+  }
+
+  return [...apiKeys].sort()
+}
+
+module.exports = {
+  queryAll,
+  queryUsageItems,
+  listApiKeysWithUsage,
+  deleteStaleItems
+}
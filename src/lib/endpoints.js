@@ -0,0 +1,49 @@
+/**
+ * Endpoint templating
+ * Collapses path segments that identify a resource (numeric ids, UUIDs) into `{id}` so usage of
+ * /items/123 and /items/456 is counted under one endpoint, GET /items/{id}
+ */
+
+const { sqlString } = require('./validation')
+
+// Patterns use syntax shared by JavaScript and Athena (Java) regular expressions
+const PATH_TEMPLATES = [
+  { pattern: '/[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}(?=/|$)', replacement: '/{id}' },
+  { pattern: '/[0-9]+(?=/|$)', replacement: '/{id}' }
+]
+
+/**
+ * Normalize a request path the same way the endpoint rollup query does
+ */
+function normalizePath(path) {
+  return PATH_TEMPLATES.reduce(
+    (normalized, { pattern, replacement }) => normalized.replace(new RegExp(pattern, 'g'), replacement),
+    path
+  )
+}
+
+/**
+ * Build a SQL expression normalizing a path column
+ * Patterns and replacements are returned as ExecutionParameters, in placeholder order
+ * @returns {{sql: string, parameters: string[]}}
+ */
+function buildPathTemplateExpression(column) {
+  const sql = PATH_TEMPLATES.reduce(expression => `regexp_replace(${expression}, ?, ?)`, column)
+  const parameters = PATH_TEMPLATES.flatMap(({ pattern, replacement }) => [sqlString(pattern), sqlString(replacement)])
+
+  return { sql, parameters }
+}
+
+/**
+ * Sort key of an endpoint usage item: period, then method and templated path
+ */
+function getEndpointKey(period, method, path) {
+  return `${period}#${method} ${path}`
+}
+
+module.exports = {
+  PATH_TEMPLATES,
+  normalizePath,
+  buildPathTemplateExpression,
+  getEndpointKey
+}
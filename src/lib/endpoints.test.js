@@ -0,0 +1,38 @@
+/**
+ * Tests for endpoints.js
+ * Using uvu test framework
+ */
+
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const { normalizePath, buildPathTemplateExpression, getEndpointKey } = require('./endpoints')
+
+test('should collapse numeric ids', () => {
+  assert.is(normalizePath('/items/123'), '/items/{id}')
+  assert.is(normalizePath('/items/456'), '/items/{id}')
+  assert.is(normalizePath('/users/42/orders/7'), '/users/{id}/orders/{id}')
+})
+
+test('should collapse UUIDs', () => {
+  assert.is(normalizePath('/items/3f2504e0-4f89-11d3-9a0c-0305e82c3301/tags'), '/items/{id}/tags')
+})
+
+test('should leave named segments alone', () => {
+  assert.is(normalizePath('/example'), '/example')
+  assert.is(normalizePath('/v2/data'), '/v2/data')
+  assert.is(normalizePath('/items/123abc'), '/items/123abc')
+})
+
+test('should build a parameterized SQL expression', () => {
+  const expression = buildPathTemplateExpression('cs_uri_stem')
+
+  assert.ok(expression.sql.startsWith('regexp_replace(regexp_replace(cs_uri_stem, ?, ?), ?, ?)'))
+  assert.is(expression.parameters.length, 4)
+  assert.is(expression.parameters[3], "'/{id}'")
+})
+
+test('should key endpoint items by period, method and path', () => {
+  assert.is(getEndpointKey('2025-10-05T00:00:00Z', 'GET', '/items/{id}'), '2025-10-05T00:00:00Z#GET /items/{id}')
+})
+
+test.run()
@@ -0,0 +1,60 @@
+/**
+ * Event-time selection of real-time log records
+ * Firehose partitions records by arrival time, so a record of day D can land in the partition
+ * of D+1 (or later, for late deliveries). Queries select a billing day by the record's own
+ * timestamp and scan the partitions it may have arrived in
+ */
+
+const { assertDate, sqlString } = require('./validation')
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+
+// The processed day and the next one, which holds records delivered around midnight UTC
+const DEFAULT_SCAN_DAYS = 2
+
+/**
+ * Add a number of days to a YYYY-MM-DD date
+ */
+function addDays(date, days) {
+  const next = new Date(`${assertDate(date)}T00:00:00Z`)
+  next.setUTCDate(next.getUTCDate() + days)
+  return next.toISOString().split('T')[0]
+}
+
+/**
+ * Build a partition condition matching the partitions of a list of dates
+ * @returns {{sql: string, parameters: string[]}}
+ */
+function buildPartitionFilter(dates) {
+  return {
+    sql: `(${dates.map(() => '(year = ? AND month = ? AND day = ?)').join(' OR ')})`,
+    parameters: dates.flatMap(date => assertDate(date).split('-').map(sqlString))
+  }
+}
+
+/**
+ * Build a condition selecting the records of one UTC day by event timestamp (epoch ms)
+ * @param {string} date - Day to select (YYYY-MM-DD)
+ * @param {number} scanDays - Number of arrival partitions to scan, starting at the day itself
+ * @returns {{sql: string, parameters: string[]}}
+ */
+function buildEventDayFilter(date, scanDays = DEFAULT_SCAN_DAYS) {
+  const partitions = buildPartitionFilter(
+    Array.from({ length: scanDays }, (_, i) => addDays(date, i))
+  )
+  const start = Date.parse(`${date}T00:00:00Z`)
+
+  return {
+    sql: `${partitions.sql}
+        AND timestamp >= ?
+        AND timestamp < ?`,
+    parameters: [...partitions.parameters, String(start), String(start + MS_PER_DAY)]
+  }
+}
+
+module.exports = {
+  DEFAULT_SCAN_DAYS,
+  addDays,
+  buildPartitionFilter,
+  buildEventDayFilter
+}
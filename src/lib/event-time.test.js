@@ -0,0 +1,33 @@
+/**
+ * Tests for event-time.js
+ * Using uvu test framework
+ */
+
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const { addDays, buildEventDayFilter } = require('./event-time')
+
+test('should add days across month and year boundaries', () => {
+  assert.is(addDays('2025-01-31', 1), '2025-02-01')
+  assert.is(addDays('2025-12-31', 1), '2026-01-01')
+  assert.is(addDays('2025-03-01', -1), '2025-02-28')
+})
+
+test('should scan the day and the next arrival partition by default', () => {
+  const filter = buildEventDayFilter('2025-12-31')
+
+  assert.ok(filter.sql.startsWith('((year = ? AND month = ? AND day = ?) OR (year = ? AND month = ? AND day = ?))'))
+  assert.equal(filter.parameters.slice(0, 6), ["'2025'", "'12'", "'31'", "'2026'", "'01'", "'01'"])
+})
+
+test('should select the day by event timestamp in epoch milliseconds', () => {
+  const filter = buildEventDayFilter('2025-10-05', 3)
+
+  assert.is(filter.sql.match(/\?/g).length, filter.parameters.length)
+  assert.equal(filter.parameters.slice(-2), [
+    String(Date.parse('2025-10-05T00:00:00Z')),
+    String(Date.parse('2025-10-06T00:00:00Z'))
+  ])
+})
+
+test.run()
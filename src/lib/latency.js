@@ -0,0 +1,116 @@
+/**
+ * Latency sketches
+ * Athena buckets each latency on a logarithmic scale (bucket i holds values in (gamma^(i-1), gamma^i] ms),
+ * so per-period histograms can be merged by adding bucket counts and percentiles of any range
+ * of periods stay within ~1% of the exact value
+ */
+
+// Latency columns of the real-time logs (seconds) summarized per period
+const LATENCY_METRICS = ['time_taken', 'time_to_first_byte', 'origin_fbl', 'origin_lbl']
+
+const PERCENTILES = [50, 90, 99]
+
+// Relative accuracy of the sketch is (gamma - 1) / (gamma + 1), about 1%
+const SKETCH_GAMMA = 1.02
+
+// Latencies of 0 would have no logarithm, clamp them to 1 microsecond
+const MIN_LATENCY_MS = 0.001
+
+/**
+ * SQL expression aggregating a latency column (seconds) into a JSON sketch of bucket counts
+ * Null latencies (e.g. origin latency of cache hits) are left out by histogram()
+ */
+function buildSketchColumn(column) {
+  const bucket = `CAST(ceil(ln(greatest(${column} * 1000, ${MIN_LATENCY_MS})) / ln(${SKETCH_GAMMA})) AS integer)`
+  return `json_format(CAST(histogram(${bucket}) AS JSON))`
+}
+
+/**
+ * Parse a sketch as returned by Athena or stored in DynamoDB
+ * @returns {Object<string, number>} - Count per bucket index
+ */
+function parseSketch(value) {
+  if (!value) {
+    return {}
+  }
+
+  const sketch = typeof value === 'string' ? JSON.parse(value) : value
+  const counts = {}
+
+  for (const [bucket, count] of Object.entries(sketch)) {
+    counts[bucket] = Number(count)
+  }
+
+  return counts
+}
+
+/**
+ * Merge sketches by adding their bucket counts
+ */
+function mergeSketches(sketches) {
+  const merged = {}
+
+  for (const sketch of sketches) {
+    for (const [bucket, count] of Object.entries(sketch || {})) {
+      merged[bucket] = (merged[bucket] || 0) + count
+    }
+  }
+
+  return merged
+}
+
+/**
+ * Estimate a percentile (0-100) of a sketch in milliseconds
+ * @returns {number|null} - null when the sketch holds no values
+ */
+function sketchPercentile(sketch, percentile) {
+  const buckets = Object.entries(sketch)
+    .map(([bucket, count]) => [Number(bucket), count])
+    .sort((a, b) => a[0] - b[0])
+  const total = buckets.reduce((sum, [, count]) => sum + count, 0)
+
+  if (total === 0) {
+    return null
+  }
+
+  const rank = Math.max(1, Math.ceil(percentile / 100 * total))
+  let seen = 0
+
+  for (const [bucket, count] of buckets) {
+    seen += count
+    if (seen >= rank) {
+      // Midpoint of the bucket, which keeps the relative error symmetric
+      const value = 2 * Math.pow(SKETCH_GAMMA, bucket) / (SKETCH_GAMMA + 1)
+      return Math.round(value * 1000) / 1000
+    }
+  }
+}
+
+/**
+ * Percentiles of every latency metric
+ * @param {object} sketches - Sketch per latency metric
+ * @returns {object} - { time_taken: { p50, p90, p99 }, ... } in milliseconds
+ */
+function summarizeLatency(sketches) {
+  const summary = {}
+
+  for (const metric of LATENCY_METRICS) {
+    summary[metric] = {}
+    for (const percentile of PERCENTILES) {
+      summary[metric][`p${percentile}`] = sketchPercentile(sketches[metric] || {}, percentile)
+    }
+  }
+
+  return summary
+}
+
+module.exports = {
+  LATENCY_METRICS,
+  PERCENTILES,
+  SKETCH_GAMMA,
+  buildSketchColumn,
+  parseSketch,
+  mergeSketches,
+  sketchPercentile,
+  summarizeLatency
+}
@@ -0,0 +1,68 @@
+/**
+ * Tests for latency.js
+ * Using uvu test framework
+ */
+
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const {
+  SKETCH_GAMMA,
+  parseSketch,
+  mergeSketches,
+  sketchPercentile,
+  summarizeLatency
+} = require('./latency')
+
+/**
+ * Build a sketch the way Athena does from latencies in milliseconds
+ */
+function sketchOf(valuesMs) {
+  const sketch = {}
+  for (const value of valuesMs) {
+    const bucket = Math.ceil(Math.log(value) / Math.log(SKETCH_GAMMA))
+    sketch[bucket] = (sketch[bucket] || 0) + 1
+  }
+  return sketch
+}
+
+/**
+ * Assert a value is within the sketch's relative accuracy of the expected value
+ */
+function assertClose(actual, expected) {
+  const relativeError = Math.abs(actual - expected) / expected
+  assert.ok(relativeError <= 0.01, `${actual} should be within 1% of ${expected}`)
+}
+
+test('should parse Athena JSON sketches', () => {
+  assert.equal(parseSketch('{"-349":2,"285":"3"}'), { '-349': 2, 285: 3 })
+  assert.equal(parseSketch(null), {})
+})
+
+test('should estimate percentiles within 1%', () => {
+  const values = Array.from({ length: 1000 }, (_, i) => i + 1)
+  const sketch = sketchOf(values)
+
+  assertClose(sketchPercentile(sketch, 50), 500)
+  assertClose(sketchPercentile(sketch, 90), 900)
+  assertClose(sketchPercentile(sketch, 99), 990)
+})
+
+test('should merge sketches instead of averaging percentiles', () => {
+  // A fast day and a slow day: the p50 of both days is not the average of their p50s
+  const fastDay = sketchOf(Array.from({ length: 900 }, () => 10))
+  const slowDay = sketchOf(Array.from({ length: 100 }, () => 1000))
+  const merged = mergeSketches([fastDay, slowDay])
+
+  assertClose(sketchPercentile(merged, 50), 10)
+  assertClose(sketchPercentile(merged, 90), 10)
+  assertClose(sketchPercentile(merged, 99), 1000)
+})
+
+test('should report null for metrics without values', () => {
+  const summary = summarizeLatency({ time_taken: sketchOf([250]) })
+
+  assertClose(summary.time_taken.p99, 250)
+  assert.equal(summary.origin_fbl, { p50: null, p90: null, p99: null })
+})
+
+test.run()
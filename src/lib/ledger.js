@@ -0,0 +1,152 @@
+/**
+ * Rollup run ledger
+ * Records every rollup invocation (period, query execution, rows written, status) in DynamoDB
+ */
+
+const crypto = require('crypto')
+const {
+  DynamoDBClient,
+  PutItemCommand,
+  UpdateItemCommand,
+  QueryCommand
+} = require('@aws-sdk/client-dynamodb')
+
+const dynamodb = new DynamoDBClient()
+
+const ROLLUP_RUNS_TABLE = process.env.ROLLUP_RUNS_TABLE
+
+const STATUS = {
+  RUNNING: 'RUNNING',
+  SUCCEEDED: 'SUCCEEDED',
+  FAILED: 'FAILED'
+}
+
+/**
+ * Ledger partition key for a rollup period
+ */
+function getRunKey({ queryType, granularity, date }) {
+  return `${queryType}#${granularity}#${date}`
+}
+
+/**
+ * Record the start of a rollup run
+ * @returns {Promise<object>} - Run handle passed to completeRun/failRun
+ */
+async function startRun({ queryType, granularity, date }) {
+  const run = {
+    runKey: getRunKey({ queryType, granularity, date }),
+    runId: crypto.randomUUID(),
+    startedAt: new Date().toISOString(),
+    queryType,
+    granularity,
+    date
+  }
+
+  await dynamodb.send(
+    new PutItemCommand({
+      TableName: ROLLUP_RUNS_TABLE,
+      Item: {
+        run_key: { S: run.runKey },
+        started_at: { S: run.startedAt },
+        run_id: { S: run.runId },
+        date: { S: date },
+        granularity: { S: granularity },
+        query_type: { S: queryType },
+        status: { S: STATUS.RUNNING },
+      },
+    })
+  )
+
+  return run
+}
+
+/**
+ * Mark a rollup run as succeeded
+ * queryExecutionId is omitted for runs that do not query Athena; requestsCounted (log records
+ * rolled up) lets reconciliation detect records that arrived after the run
+ */
+async function completeRun(run, { queryExecutionId, rowsWritten, rowsDeleted, requestsCounted }) {
+  const values = {
+    ':status': { S: STATUS.SUCCEEDED },
+    ':rowsWritten': { N: rowsWritten.toString() },
+    ':rowsDeleted': { N: rowsDeleted.toString() },
+    ':finishedAt': { S: new Date().toISOString() },
+  }
+  if (queryExecutionId) {
+    values[':queryExecutionId'] = { S: queryExecutionId }
+  }
+  if (requestsCounted !== undefined) {
+    values[':requestsCounted'] = { N: requestsCounted.toString() }
+  }
+
+  await dynamodb.send(
+    new UpdateItemCommand({
+      TableName: ROLLUP_RUNS_TABLE,
+      Key: {
+        run_key: { S: run.runKey },
+        started_at: { S: run.startedAt },
+      },
+      UpdateExpression: `
+        SET #status = :status,
+            ${queryExecutionId ? 'query_execution_id = :queryExecutionId,' : ''}
+            ${requestsCounted !== undefined ? 'requests_counted = :requestsCounted,' : ''}
+            rows_written = :rowsWritten,
+            rows_deleted = :rowsDeleted,
+            finished_at = :finishedAt
+      `,
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: values,
+    })
+  )
+}
+
+/**
+ * Mark a rollup run as failed
+ */
+async function failRun(run, error) {
+  await dynamodb.send(
+    new UpdateItemCommand({
+      TableName: ROLLUP_RUNS_TABLE,
+      Key: {
+        run_key: { S: run.runKey },
+        started_at: { S: run.startedAt },
+      },
+      UpdateExpression: 'SET #status = :status, #error = :error, finished_at = :finishedAt',
+      ExpressionAttributeNames: { '#status': 'status', '#error': 'error' },
+      ExpressionAttributeValues: {
+        ':status': { S: STATUS.FAILED },
+        ':error': { S: error.message || String(error) },
+        ':finishedAt': { S: new Date().toISOString() },
+      },
+    })
+  )
+}
+
+/**
+ * Get the most recent run recorded for a rollup period
+ * @returns {Promise<object|null>} - Raw ledger item or null
+ */
+async function getLatestRun({ queryType, granularity, date }) {
+  const response = await dynamodb.send(
+    new QueryCommand({
+      TableName: ROLLUP_RUNS_TABLE,
+      KeyConditionExpression: 'run_key = :runKey',
+      ExpressionAttributeValues: {
+        ':runKey': { S: getRunKey({ queryType, granularity, date }) },
+      },
+      ScanIndexForward: false,
+      Limit: 1,
+    })
+  )
+
+  return response.Items?.[0] || null
+}
+
+module.exports = {
+  STATUS,
+  getRunKey,
+  startRun,
+  completeRun,
+  failRun,
+  getLatestRun
+}
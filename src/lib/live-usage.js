@@ -0,0 +1,249 @@
+/**
+ * Live usage counters
+ * Provisional per-key, per-hour counters incremented from the real-time logs Kinesis stream.
+ * They cover traffic the rollups have not processed yet and are superseded by the rollup items
+ * of the same period; items expire after LIVE_USAGE_RETENTION_DAYS
+ */
+
+const {
+  DynamoDBClient,
+  UpdateItemCommand
+} = require('@aws-sdk/client-dynamodb')
+const { queryUsageItems } = require('./dynamodb')
+const { getPricingForDate, isBillableStatus } = require('./pricing')
+const { toSortKey } = require('./usage-range')
+
+const dynamodb = new DynamoDBClient()
+
+const LIVE_USAGE_TABLE = process.env.LIVE_USAGE_TABLE
+
+// Counters outlive the daily rollup and its reconciliation pass
+const LIVE_USAGE_RETENTION_DAYS = 3
+
+const MS_PER_HOUR = 60 * 60 * 1000
+
+// Kinesis sequence numbers have up to 129 digits
+const SEQUENCE_NUMBER_LENGTH = 129
+
+// Same attribute names as the usage metrics items, so both sum with summarizeUsageItems
+const LIVE_COUNTERS = [
+  'request_count',
+  'billable_requests',
+  'total_bytes_sent',
+  'total_bytes_received',
+  'successful_requests',
+  'error_requests',
+  'status_2xx',
+  'status_3xx',
+  'status_4xx',
+  'status_5xx',
+  'cache_hits',
+  'cache_misses'
+]
+
+// Length of the period key compared with rollup items, e.g. '2025-10-05' for day
+const PERIOD_KEY_LENGTH = { day: 10, hour: 13 }
+
+const PERIOD_MS = { day: 24 * MS_PER_HOUR, hour: MS_PER_HOUR }
+
+// Firehose buffers records for up to 300 seconds before writing them to S3, plus a margin
+const ROLLUP_DELIVERY_DELAY_MS = 10 * 60 * 1000
+
+/**
+ * Count one parsed log record
+ */
+function countRecord(record, billableRule) {
+  const status = record.sc_status
+  const statusClass = Number.isInteger(status) ? Math.floor(status / 100) : null
+
+  return {
+    request_count: 1,
+    billable_requests: isBillableStatus(status, billableRule) ? 1 : 0,
+    total_bytes_sent: record.sc_bytes || 0,
+    total_bytes_received: record.cs_bytes || 0,
+    successful_requests: statusClass === 2 ? 1 : 0,
+    error_requests: status >= 400 ? 1 : 0,
+    status_2xx: statusClass === 2 ? 1 : 0,
+    status_3xx: statusClass === 3 ? 1 : 0,
+    status_4xx: statusClass === 4 ? 1 : 0,
+    status_5xx: statusClass === 5 ? 1 : 0,
+    cache_hits: record.x_edge_result_type === 'Hit' ? 1 : 0,
+    cache_misses: record.x_edge_result_type === 'Miss' ? 1 : 0
+  }
+}
+
+/**
+ * Sum parsed log records into counters per API key and event hour
+ * Records without an API key or timestamp are not counted
+ * @param {object[]} records - Records from lib/realtime-logs parseTsvToJson (timestamp in ms)
+ * @returns {Array<{apiKey: string, period: string, counters: object}>}
+ */
+function aggregateLiveRecords(records) {
+  const aggregates = new Map()
+  const rules = new Map()
+
+  for (const record of records) {
+    if (!record.api_key || !Number.isFinite(record.timestamp)) continue
+
+    const hour = new Date(Math.floor(record.timestamp / MS_PER_HOUR) * MS_PER_HOUR)
+    const period = toSortKey(hour)
+    const date = period.split('T')[0]
+
+    // The billable statuses rule of the pricing version in effect on the event day
+    if (!rules.has(date)) {
+      rules.set(date, getPricingForDate(date).billable_statuses)
+    }
+
+    const key = `${record.api_key}#${period}`
+    const aggregate = aggregates.get(key) || {
+      apiKey: record.api_key,
+      period,
+      counters: Object.fromEntries(LIVE_COUNTERS.map(counter => [counter, 0]))
+    }
+
+    for (const [counter, value] of Object.entries(countRecord(record, rules.get(date)))) {
+      aggregate.counters[counter] += value
+    }
+    aggregates.set(key, aggregate)
+  }
+
+  return [...aggregates.values()]
+}
+
+/**
+ * Position of a Kinesis batch: its shard and last sequence number
+ * Sequence numbers are decimal strings of varying length, padded so they compare as strings
+ * @param {object[]} kinesisRecords - Records of a Kinesis Lambda event, all from one shard
+ * @returns {{shardId: string, sequenceNumber: string}}
+ */
+function getBatchPosition(kinesisRecords) {
+  const last = kinesisRecords[kinesisRecords.length - 1]
+
+  return {
+    shardId: last.eventID.split(':')[0],
+    sequenceNumber: last.kinesis.sequenceNumber.padStart(SEQUENCE_NUMBER_LENGTH, '0')
+  }
+}
+
+/**
+ * Build the update adding one aggregate to its live counter item
+ * The item keeps the last batch position it counted per shard; the update only applies to a batch
+ * past that position, so a retried batch does not add its counters again
+ * @param {{apiKey: string, period: string, counters: object}} aggregate
+ * @param {{shardId: string, sequenceNumber: string}} position - From getBatchPosition
+ * @returns {object} - UpdateItem input
+ */
+function buildIncrementInput({ apiKey, period, counters }, position) {
+  const expiresAt = Math.floor(Date.parse(period) / 1000) + LIVE_USAGE_RETENTION_DAYS * 24 * 60 * 60
+
+  return {
+    TableName: LIVE_USAGE_TABLE,
+    Key: {
+      api_key: { S: apiKey },
+      date: { S: period },
+    },
+    UpdateExpression: `ADD ${LIVE_COUNTERS.map(counter => `${counter} :${counter}`).join(', ')} ` +
+      'SET provisional = :provisional, expires_at = :expiresAt, last_updated = :now, #position = :position',
+    ConditionExpression: 'attribute_not_exists(#position) OR #position < :position',
+    ExpressionAttributeNames: {
+      '#position': `position_${position.shardId}`,
+    },
+    ExpressionAttributeValues: {
+      ...Object.fromEntries(LIVE_COUNTERS.map(counter => [`:${counter}`, { N: counters[counter].toString() }])),
+      ':provisional': { BOOL: true },
+      ':expiresAt': { N: expiresAt.toString() },
+      ':now': { S: new Date().toISOString() },
+      ':position': { S: position.sequenceNumber },
+    },
+  }
+}
+
+/**
+ * Add aggregated counters of one Kinesis batch to the live usage table
+ * Counters already holding the batch (from an earlier attempt of it) are skipped
+ * @param {object[]} aggregates - From aggregateLiveRecords
+ * @param {{shardId: string, sequenceNumber: string}} position - From getBatchPosition
+ * @returns {Promise<number>} - Number of counters skipped as already counted
+ */
+async function incrementLiveCounters(aggregates, position) {
+  let skipped = 0
+
+  for (const aggregate of aggregates) {
+    try {
+      await dynamodb.send(new UpdateItemCommand(buildIncrementInput(aggregate, position)))
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        throw error
+      }
+      skipped++
+    }
+  }
+
+  return skipped
+}
+
+/**
+ * Decide whether a rollup saw all records of its period
+ * Records reach S3 up to the Firehose buffer interval after the event, so a period is complete
+ * once the rollup started ROLLUP_DELIVERY_DELAY_MS after the period ended
+ * @param {string} period - Period start, e.g. 2025-10-05T14:00:00Z
+ * @param {string} granularity - day or hour
+ * @param {string} rolledUpAt - ISO time the rollup run started
+ */
+function isPeriodComplete(period, granularity, rolledUpAt) {
+  return Date.parse(rolledUpAt) >= Date.parse(period) + PERIOD_MS[granularity] + ROLLUP_DELIVERY_DELAY_MS
+}
+
+/**
+ * Combine rollup items with the live counters of periods the rollups have not completed
+ * Complete rollup items supersede the live counters of their period. A rollup item written
+ * before its period was over (complete: false) only holds part of it, so it is superseded by the
+ * live counters of its period when there are any. Items without the flag count as complete
+ * @param {object[]} liveItems - Hourly items from the live usage table
+ * @param {object[]} rollupItems - Rollup items of the same range
+ * @param {string} granularity - Granularity of the rollup items, day or hour
+ * @returns {{finalizedItems: object[], provisionalItems: object[]}}
+ */
+function mergeProvisionalItems(liveItems, rollupItems, granularity) {
+  const length = PERIOD_KEY_LENGTH[granularity]
+  const periodOf = item => item.date.S.slice(0, length)
+
+  const completed = new Set(rollupItems.filter(item => item.complete?.BOOL !== false).map(periodOf))
+  const provisionalItems = liveItems.filter(item => !completed.has(periodOf(item)))
+  const livePeriods = new Set(provisionalItems.map(periodOf))
+
+  return {
+    finalizedItems: rollupItems.filter(item => item.complete?.BOOL !== false || !livePeriods.has(periodOf(item))),
+    provisionalItems
+  }
+}
+
+/**
+ * Get the rollup items and live counters to report for a range of an API key
+ * Returns the rollup items alone when no live usage table is configured
+ * @param {string} apiKey
+ * @param {{startKey: string, endKey: string}} range - See usage-range
+ * @param {object[]} rollupItems - Rollup items of the same range
+ * @param {string} granularity - Granularity of the rollup items, day or hour
+ * @returns {Promise<{finalizedItems: object[], provisionalItems: object[]}>} - See mergeProvisionalItems
+ */
+async function getProvisionalItems(apiKey, range, rollupItems, granularity) {
+  if (!LIVE_USAGE_TABLE) {
+    return { finalizedItems: rollupItems, provisionalItems: [] }
+  }
+
+  const liveItems = await queryUsageItems(LIVE_USAGE_TABLE, apiKey, range)
+  return mergeProvisionalItems(liveItems, rollupItems, granularity)
+}
+
+module.exports = {
+  LIVE_COUNTERS,
+  LIVE_USAGE_RETENTION_DAYS,
+  aggregateLiveRecords,
+  getBatchPosition,
+  buildIncrementInput,
+  incrementLiveCounters,
+  isPeriodComplete,
+  mergeProvisionalItems,
+  getProvisionalItems
+}
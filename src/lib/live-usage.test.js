@@ -0,0 +1,129 @@
+/**
+ * Tests for live-usage.js
+ * Using uvu test framework
+ */
+
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const {
+  aggregateLiveRecords,
+  getBatchPosition,
+  buildIncrementInput,
+  isPeriodComplete,
+  mergeProvisionalItems
+} = require('./live-usage')
+
+/**
+ * Parsed real-time log record
+ */
+function logRecord(apiKey, time, status, bytes = 100, resultType = 'Miss') {
+  return {
+    api_key: apiKey,
+    timestamp: Date.parse(time),
+    sc_status: status,
+    sc_bytes: bytes,
+    cs_bytes: null,
+    x_edge_result_type: resultType
+  }
+}
+
+/**
+ * Usage item with a request count
+ */
+function usageItem(date, requestCount) {
+  return { date: { S: date }, request_count: { N: String(requestCount) } }
+}
+
+/**
+ * Usage item with only a date
+ */
+function item(date) {
+  return { date: { S: date } }
+}
+
+test('should count records per key and event hour', () => {
+  const aggregates = aggregateLiveRecords([
+    logRecord('key-1', '2025-10-05T14:05:00Z', 200, 100, 'Hit'),
+    logRecord('key-1', '2025-10-05T14:59:59Z', 503),
+    logRecord('key-1', '2025-10-05T15:00:00Z', 429),
+    logRecord('key-2', '2025-10-05T14:10:00Z', 404),
+    logRecord(null, '2025-10-05T14:10:00Z', 200)
+  ])
+
+  assert.equal(aggregates.map(aggregate => [aggregate.apiKey, aggregate.period, aggregate.counters.request_count]), [
+    ['key-1', '2025-10-05T14:00:00Z', 2],
+    ['key-1', '2025-10-05T15:00:00Z', 1],
+    ['key-2', '2025-10-05T14:00:00Z', 1]
+  ])
+
+  const [first, second, third] = aggregates
+  assert.is(first.counters.billable_requests, 1, '5xx responses are not billed')
+  assert.is(first.counters.total_bytes_sent, 200)
+  assert.is(first.counters.cache_hits, 1)
+  assert.is(first.counters.status_5xx, 1)
+  assert.is(second.counters.billable_requests, 0, '429 responses are not billed')
+  assert.is(third.counters.error_requests, 1)
+})
+
+test('should only keep live counters of periods without rollup items', () => {
+  const live = [item('2025-10-04T23:00:00Z'), item('2025-10-05T01:00:00Z'), item('2025-10-05T02:00:00Z')]
+
+  assert.equal(
+    mergeProvisionalItems(live, [item('2025-10-04T00:00:00Z')], 'day').provisionalItems.map(i => i.date.S),
+    ['2025-10-05T01:00:00Z', '2025-10-05T02:00:00Z']
+  )
+  assert.equal(
+    mergeProvisionalItems(live, [item('2025-10-05T01:00:00Z')], 'hour').provisionalItems.map(i => i.date.S),
+    ['2025-10-04T23:00:00Z', '2025-10-05T02:00:00Z']
+  )
+})
+
+test('should prefer live counters over a rollup item written before its period ended', () => {
+  const partial = { ...usageItem('2025-10-05T14:00:00Z', 40), complete: { BOOL: false } }
+  const live = [usageItem('2025-10-05T14:00:00Z', 95)]
+
+  const hourly = mergeProvisionalItems(live, [partial, usageItem('2025-10-05T13:00:00Z', 70)], 'hour')
+  assert.equal(hourly.finalizedItems.map(i => i.date.S), ['2025-10-05T13:00:00Z'])
+  assert.equal(hourly.provisionalItems, live)
+
+  const partialDay = { ...usageItem('2025-10-05T00:00:00Z', 40), complete: { BOOL: false } }
+  const daily = mergeProvisionalItems(live, [partialDay], 'day')
+  assert.equal(daily.finalizedItems, [], 'A partial day is superseded too')
+  assert.equal(daily.provisionalItems, live)
+
+  assert.equal(mergeProvisionalItems([], [partial], 'hour').finalizedItems, [partial], 'Kept without live counters')
+})
+
+test('should only flag periods complete once records were delivered', () => {
+  assert.is(isPeriodComplete('2025-10-05T14:00:00Z', 'hour', '2025-10-05T14:15:00Z'), false, 'The current hour')
+  assert.is(isPeriodComplete('2025-10-05T13:00:00Z', 'hour', '2025-10-05T14:15:00Z'), true)
+  assert.is(isPeriodComplete('2025-10-05T00:00:00Z', 'day', '2025-10-05T23:59:00Z'), false)
+  assert.is(isPeriodComplete('2025-10-05T00:00:00Z', 'day', '2025-10-06T02:00:00Z'), true)
+})
+
+test('should identify a batch by its shard and last sequence number', () => {
+  const kinesisRecord = sequenceNumber => ({
+    eventID: `shardId-000000000001:${sequenceNumber}`,
+    kinesis: { sequenceNumber }
+  })
+
+  const earlier = getBatchPosition([kinesisRecord('98'), kinesisRecord('99')])
+  const later = getBatchPosition([kinesisRecord('100')])
+
+  assert.is(earlier.shardId, 'shardId-000000000001')
+  assert.ok(earlier.sequenceNumber < later.sequenceNumber, 'Padded sequence numbers compare as strings')
+})
+
+test('should only increment counters past the batch position of their shard', () => {
+  const [aggregate] = aggregateLiveRecords([logRecord('key-1', '2025-10-05T14:05:00Z', 200)])
+  const input = buildIncrementInput(aggregate, { shardId: 'shardId-000000000001', sequenceNumber: '0042' })
+
+  assert.equal(input.Key, { api_key: { S: 'key-1' }, date: { S: '2025-10-05T14:00:00Z' } })
+  assert.is(input.ConditionExpression, 'attribute_not_exists(#position) OR #position < :position')
+  assert.is(input.ExpressionAttributeNames['#position'], 'position_shardId-000000000001')
+  assert.equal(input.ExpressionAttributeValues[':position'], { S: '0042' })
+  assert.ok(input.UpdateExpression.includes('#position = :position'), 'The position is stored with the counters')
+})
+
+// Run all tests
+test.run()
@@ -0,0 +1,62 @@
+/**
+ * Monthly charge calculator
+ * Sums the daily usage metrics items of a month and prices each metric with its tiers
+ */
+
+const { applyTiers, roundUsd } = require('./tiers')
+
+const BYTES_PER_GB = 1024 * 1024 * 1024
+
+// Billable metrics, read from DynamoDB usage metrics items
+// Items rolled up before billable_requests existed bill every request
+const MONTHLY_METRICS = {
+  requests: item => parseInt((item.billable_requests || item.request_count)?.N || '0', 10),
+  gb_sent: item => parseInt(item.total_bytes_sent?.N || '0', 10) / BYTES_PER_GB
+}
+
+/**
+ * Sum the billable metrics of a set of daily usage items
+ * @returns {{requests: number, gb_sent: number}}
+ */
+function summarizeMonthlyUsage(dailyItems) {
+  const totals = {}
+
+  for (const [metric, read] of Object.entries(MONTHLY_METRICS)) {
+    totals[metric] = dailyItems.reduce((sum, item) => sum + read(item), 0)
+  }
+
+  // Bandwidth is priced per GB, keep enough precision for small usage
+  totals.gb_sent = Math.round(totals.gb_sent * 1e6) / 1e6
+
+  return totals
+}
+
+/**
+ * Price a month of daily usage items
+ * @param {object[]} dailyItems - Raw DynamoDB items from the usage metrics table
+ * @param {object} monthlyTiers - Tier definition per metric, e.g. { requests: { mode, tiers } }
+ * @returns {{usage: object, metrics: object, total_usd: number}}
+ */
+function calculateMonthlyCharges(dailyItems, monthlyTiers) {
+  const usage = summarizeMonthlyUsage(dailyItems)
+  const metrics = {}
+
+  for (const [metric, definition] of Object.entries(monthlyTiers)) {
+    if (!(metric in usage)) {
+      throw new Error(`Unknown monthly metric: ${metric}`)
+    }
+    metrics[metric] = { mode: definition.mode, ...applyTiers(usage[metric], definition) }
+  }
+
+  return {
+    usage,
+    metrics,
+    total_usd: roundUsd(Object.values(metrics).reduce((sum, metric) => sum + metric.amount_usd, 0))
+  }
+}
+
+module.exports = {
+  MONTHLY_METRICS,
+  summarizeMonthlyUsage,
+  calculateMonthlyCharges
+}
@@ -0,0 +1,207 @@
+/**
+ * Plan catalog
+ * Loads plans (included units and overage prices per billable metric) from config/plans.json
+ * (or PLANS_CATALOG_PATH) and works out billing periods from a customer's billing anchor day
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { assertDate, assertMonth, assertIdentifier } = require('./validation')
+const { MONTHLY_METRICS } = require('./monthly-charges')
+
+const DEFAULT_PLANS_PATH = path.join(__dirname, '../../config/plans.json')
+
+// Anchors past the 28th would not exist in every month
+const MAX_ANCHOR_DAY = 28
+
+let cachedPlans = null
+
+/**
+ * Assert a billing anchor day is a whole day of the month between 1 and 28
+ * @returns {number} - The validated anchor day
+ */
+function assertAnchorDay(value, name = 'billing_anchor_day') {
+  if (!Number.isInteger(value) || value < 1 || value > MAX_ANCHOR_DAY) {
+    throw new Error(`Invalid ${name}: ${JSON.stringify(value)} (expected 1-${MAX_ANCHOR_DAY})`)
+  }
+  return value
+}
+
+/**
+ * Assert a per-metric amount map only uses billable metrics and non-negative numbers
+ */
+function assertMetricMap(values, name) {
+  for (const [metric, value] of Object.entries(values || {})) {
+    if (!(metric in MONTHLY_METRICS)) {
+      throw new Error(`Unknown metric in ${name}: ${metric}`)
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid ${name} ${metric}: ${JSON.stringify(value)}`)
+    }
+  }
+  return values || {}
+}
+
+/**
+ * Validate a plan catalog and return it indexed by plan id
+ * @returns {Map<string, object>}
+ */
+function validatePlans(catalog) {
+  if (!catalog || !Array.isArray(catalog.plans) || catalog.plans.length === 0) {
+    throw new Error('Plan catalog must contain at least one plan')
+  }
+
+  const plans = new Map()
+
+  for (const plan of catalog.plans) {
+    assertIdentifier(plan.plan_id, 'plan_id')
+    if (plans.has(plan.plan_id)) {
+      throw new Error(`Duplicate plan_id: ${plan.plan_id}`)
+    }
+
+    assertMetricMap(plan.included, `${plan.plan_id} included`)
+    assertMetricMap(plan.overage_prices, `${plan.plan_id} overage_prices`)
+
+    // Usage past the allowance has to be priced somewhere
+    for (const metric of Object.keys(plan.included)) {
+      if (!(metric in plan.overage_prices)) {
+        throw new Error(`Plan ${plan.plan_id} includes ${metric} but has no overage price for it`)
+      }
+    }
+
+    plans.set(plan.plan_id, plan)
+  }
+
+  return plans
+}
+
+/**
+ * Load and validate the plan catalog (cached for the lifetime of the Lambda container)
+ */
+function loadPlans(plansPath = process.env.PLANS_CATALOG_PATH || DEFAULT_PLANS_PATH) {
+  if (!cachedPlans || cachedPlans.path !== plansPath) {
+    const catalog = JSON.parse(fs.readFileSync(plansPath, 'utf-8'))
+    cachedPlans = { path: plansPath, plans: validatePlans(catalog) }
+  }
+
+  return cachedPlans.plans
+}
+
+/**
+ * Get a plan by id
+ */
+function getPlan(planId, plans = loadPlans()) {
+  const plan = plans.get(planId)
+  if (!plan) {
+    throw new Error(`Unknown plan: ${planId}`)
+  }
+  return plan
+}
+
+/**
+ * Express a plan as monthly tier definitions: included units free, overage at the plan price
+ * @returns {object} - Tier definition per metric, in the shape of pricing monthly_tiers
+ */
+function getPlanTiers(plan) {
+  const tiers = {}
+
+  for (const [metric, price] of Object.entries(plan.overage_prices)) {
+    const included = plan.included[metric] || 0
+    tiers[metric] = {
+      mode: 'graduated',
+      tiers: included > 0
+        ? [{ up_to: included, unit_price_usd: 0 }, { up_to: null, unit_price_usd: price }]
+        : [{ up_to: null, unit_price_usd: price }]
+    }
+  }
+
+  return tiers
+}
+
+/**
+ * Get the monthly tiers an API key is billed with
+ * Plan tiers replace the catalog tiers of the metrics the plan prices
+ * @param {object} pricing - Pricing catalog version, e.g. from getPricingForMonth
+ * @param {object|null} plan - The customer's plan, null for keys without a customer
+ */
+function getBillingTiers(pricing, plan) {
+  if (!pricing.monthly_tiers) {
+    throw new Error(`Pricing version ${pricing.version} defines no monthly_tiers`)
+  }
+
+  return plan ? { ...pricing.monthly_tiers, ...getPlanTiers(plan) } : pricing.monthly_tiers
+}
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ */
+function formatDate(date) {
+  return date.toISOString().split('T')[0]
+}
+
+/**
+ * Get the billing period (inclusive start and end dates) that contains a date
+ * A period starts on the anchor day and ends the day before the next month's anchor day
+ * @returns {{start: string, end: string}}
+ */
+function getBillingPeriod(anchorDay, date) {
+  assertAnchorDay(anchorDay)
+  assertDate(date)
+
+  const [year, month, day] = date.split('-').map(Number)
+  const startMonth = day >= anchorDay ? month - 1 : month - 2
+
+  const start = new Date(Date.UTC(year, startMonth, anchorDay))
+  const end = new Date(Date.UTC(year, startMonth + 1, anchorDay - 1))
+
+  return { start: formatDate(start), end: formatDate(end) }
+}
+
+/**
+ * Get the billing period that ends in a month (YYYY-MM)
+ * With anchor day 1 this is the calendar month itself
+ * @returns {{start: string, end: string}}
+ */
+function getBillingPeriodEndingIn(anchorDay, month) {
+  assertAnchorDay(anchorDay)
+  assertMonth(month)
+
+  const [year, monthNumber] = month.split('-').map(Number)
+  const end = new Date(Date.UTC(year, monthNumber - 1 + (anchorDay === 1 ? 1 : 0), anchorDay - 1))
+
+  return getBillingPeriod(anchorDay, formatDate(end))
+}
+
+/**
+ * Compare usage with a plan's included units
+ * @param {object} usage - Totals per metric, e.g. from summarizeMonthlyUsage
+ * @returns {object} - { metric: { included, used, remaining, overage } } for every included metric
+ */
+function summarizeAllowance(usage, plan) {
+  const allowance = {}
+
+  for (const [metric, included] of Object.entries(plan.included)) {
+    const used = usage[metric] || 0
+    allowance[metric] = {
+      included,
+      used,
+      remaining: Math.max(0, included - used),
+      overage: Math.max(0, used - included)
+    }
+  }
+
+  return allowance
+}
+
+module.exports = {
+  MAX_ANCHOR_DAY,
+  assertAnchorDay,
+  validatePlans,
+  loadPlans,
+  getPlan,
+  getPlanTiers,
+  getBillingTiers,
+  getBillingPeriod,
+  getBillingPeriodEndingIn,
+  summarizeAllowance
+}
@@ -0,0 +1,87 @@
+/**
+ * Tests for plans.js
+ * Using uvu test framework
+ */
+
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const {
+  validatePlans,
+  getPlanTiers,
+  getBillingTiers,
+  getBillingPeriod,
+  getBillingPeriodEndingIn,
+  summarizeAllowance
+} = require('./plans')
+const { calculateMonthlyCharges } = require('./monthly-charges')
+
+const plan = {
+  plan_id: 'growth',
+  included: { requests: 1000 },
+  overage_prices: { requests: 0.01, gb_sent: 0.05 }
+}
+
+test('should index plans by id', () => {
+  const plans = validatePlans({ plans: [plan] })
+
+  assert.is(plans.get('growth'), plan)
+})
+
+test('should reject included metrics without an overage price', () => {
+  assert.throws(
+    () => validatePlans({ plans: [{ plan_id: 'free', included: { requests: 10 }, overage_prices: {} }] }),
+    /no overage price/
+  )
+})
+
+test('should reject unknown metrics', () => {
+  assert.throws(
+    () => validatePlans({ plans: [{ plan_id: 'free', included: {}, overage_prices: { minutes: 1 } }] }),
+    /Unknown metric/
+  )
+})
+
+test('should bill only usage past the included units', () => {
+  const items = [{ request_count: { N: '1500' }, total_bytes_sent: { N: '0' } }]
+  const charges = calculateMonthlyCharges(items, getPlanTiers(plan))
+
+  assert.is(charges.metrics.requests.amount_usd, 5)
+  assert.is(charges.total_usd, 5)
+})
+
+test('should replace the catalog tiers of the metrics a plan prices', () => {
+  const catalogTiers = { mode: 'volume', tiers: [{ up_to: null, unit_price_usd: 0.1 }] }
+  const tiers = getBillingTiers({ version: 'v1', monthly_tiers: { requests: catalogTiers, gb_sent: catalogTiers } }, {
+    ...plan,
+    overage_prices: { requests: 0.01 }
+  })
+
+  assert.equal(tiers.requests, getPlanTiers(plan).requests)
+  assert.is(tiers.gb_sent, catalogTiers)
+  assert.throws(() => getBillingTiers({ version: 'v1' }, null), /defines no monthly_tiers/)
+})
+
+test('should summarize usage against the allowance', () => {
+  assert.equal(summarizeAllowance({ requests: 400, gb_sent: 2 }, plan), {
+    requests: { included: 1000, used: 400, remaining: 600, overage: 0 }
+  })
+  assert.equal(summarizeAllowance({ requests: 1200 }, plan).requests.overage, 200)
+})
+
+test('should use calendar months for anchor day 1', () => {
+  assert.equal(getBillingPeriod(1, '2024-02-10'), { start: '2024-02-01', end: '2024-02-29' })
+  assert.equal(getBillingPeriodEndingIn(1, '2025-09'), { start: '2025-09-01', end: '2025-09-30' })
+})
+
+test('should start periods on the anchor day', () => {
+  assert.equal(getBillingPeriod(15, '2025-09-15'), { start: '2025-09-15', end: '2025-10-14' })
+  assert.equal(getBillingPeriod(15, '2025-09-14'), { start: '2025-08-15', end: '2025-09-14' })
+  assert.equal(getBillingPeriod(15, '2025-01-03'), { start: '2024-12-15', end: '2025-01-14' })
+  assert.equal(getBillingPeriodEndingIn(15, '2025-09'), { start: '2025-08-15', end: '2025-09-14' })
+})
+
+test('should reject anchor days that do not exist in every month', () => {
+  assert.throws(() => getBillingPeriod(31, '2025-09-01'), /billing_anchor_day/)
+})
+
+test.run()
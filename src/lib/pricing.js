@@ -0,0 +1,225 @@
+/**
+ * Pricing catalog
+ * Loads versioned prices from config/pricing.json (or PRICING_CATALOG_PATH) and picks
+ * the version in effect for a usage date, so a price change only applies after its effective date
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { assertDate, assertIdentifier, sqlString } = require('./validation')
+const { validateTiers } = require('./tiers')
+
+const DEFAULT_CATALOG_PATH = path.join(__dirname, '../../config/pricing.json')
+
+const STATUS_CLASSES = ['1xx', '2xx', '3xx', '4xx', '5xx']
+
+let cachedCatalog = null
+
+/**
+ * Assert a price is a finite, non-negative number
+ */
+function assertPrice(value, name) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new Error(`Invalid price for ${name}: ${JSON.stringify(value)}`)
+  }
+  return value
+}
+
+/**
+ * Assert a map of code -> price, e.g. country prices per GB
+ */
+function assertPriceMap(prices, name) {
+  for (const [code, price] of Object.entries(prices || {})) {
+    assertIdentifier(code, `${name} code`)
+    assertPrice(price, `${name} ${code}`)
+  }
+  return prices || {}
+}
+
+/**
+ * Validate a billable statuses rule: status classes and individual codes that are not billed
+ */
+function validateBillableStatuses(rule, name) {
+  for (const statusClass of rule.exclude_classes || []) {
+    if (!STATUS_CLASSES.includes(statusClass)) {
+      throw new Error(`Invalid ${name} status class: ${JSON.stringify(statusClass)} (expected one of ${STATUS_CLASSES.join(', ')})`)
+    }
+  }
+
+  for (const code of rule.exclude_codes || []) {
+    if (!Number.isInteger(code) || code < 100 || code > 599) {
+      throw new Error(`Invalid ${name} status code: ${JSON.stringify(code)}`)
+    }
+  }
+
+  return rule
+}
+
+/**
+ * Validate a catalog and return its versions sorted by effective date
+ */
+function validateCatalog(catalog) {
+  if (!catalog || !Array.isArray(catalog.versions) || catalog.versions.length === 0) {
+    throw new Error('Pricing catalog must contain at least one version')
+  }
+
+  const versions = catalog.versions.map((version) => {
+    const name = version.version
+    if (!name) {
+      throw new Error('Every pricing version needs a version name')
+    }
+
+    assertDate(version.effective_from, `effective_from of pricing version ${name}`)
+    assertPrice(version.request_price_usd, `${name} request_price_usd`)
+    assertPrice(version.bandwidth?.default_price_per_gb, `${name} bandwidth default_price_per_gb`)
+    assertPriceMap(version.bandwidth.country_prices_per_gb, `${name} bandwidth country`)
+    assertPriceMap(version.bandwidth.region_prices_per_gb, `${name} bandwidth region`)
+    assertPrice(version.cache?.default_price_per_gb, `${name} cache default_price_per_gb`)
+    assertPriceMap(version.cache.result_type_prices_per_gb, `${name} cache result type`)
+
+    if (version.billable_statuses) {
+      validateBillableStatuses(version.billable_statuses, `${name} billable_statuses`)
+    }
+
+    for (const [metric, definition] of Object.entries(version.monthly_tiers || {})) {
+      validateTiers(definition, `${name} ${metric}`)
+    }
+
+    return version
+  })
+
+  versions.sort((a, b) => a.effective_from.localeCompare(b.effective_from))
+
+  for (let i = 1; i < versions.length; i++) {
+    if (versions[i].effective_from === versions[i - 1].effective_from) {
+      throw new Error(`Pricing versions ${versions[i - 1].version} and ${versions[i].version} share effective_from ${versions[i].effective_from}`)
+    }
+  }
+
+  return { ...catalog, versions }
+}
+
+/**
+ * Load and validate the pricing catalog (cached for the lifetime of the Lambda container)
+ */
+function loadPricingCatalog(catalogPath = process.env.PRICING_CATALOG_PATH || DEFAULT_CATALOG_PATH) {
+  if (!cachedCatalog || cachedCatalog.path !== catalogPath) {
+    const catalog = JSON.parse(fs.readFileSync(catalogPath, 'utf-8'))
+    cachedCatalog = { path: catalogPath, catalog: validateCatalog(catalog) }
+  }
+
+  return cachedCatalog.catalog
+}
+
+/**
+ * Get the pricing version in effect on a date (YYYY-MM-DD)
+ */
+function getPricingForDate(date, catalog = loadPricingCatalog()) {
+  assertDate(date)
+
+  const effective = catalog.versions.filter(version => version.effective_from <= date)
+  if (effective.length === 0) {
+    throw new Error(`No pricing version is effective on ${date}`)
+  }
+
+  return effective[effective.length - 1]
+}
+
+/**
+ * Get the pricing version used for a billing month (YYYY-MM)
+ * A month is priced with the version in effect on its first day
+ */
+function getPricingForMonth(month, catalog = loadPricingCatalog()) {
+  return getPricingForDate(`${month}-01`, catalog)
+}
+
+/**
+ * Build a SQL CASE expression that maps a column to a price
+ * Codes and prices are returned as ExecutionParameters, in placeholder order
+ * @param {number|{sql: string, parameters: string[]}} defaultPrice - Price, or another price case to fall back to
+ * @returns {{sql: string, parameters: string[]}}
+ */
+function buildPriceCase(column, prices, defaultPrice) {
+  const entries = Object.entries(prices || {})
+  const fallback = typeof defaultPrice === 'object'
+    ? defaultPrice
+    : { sql: '?', parameters: [String(defaultPrice)] }
+
+  if (entries.length === 0) {
+    return fallback
+  }
+
+  const whens = entries.map(() => 'WHEN ? THEN ?').join(' ')
+  const parameters = entries.flatMap(([code, price]) => [sqlString(code), String(price)])
+
+  return {
+    sql: `CASE ${column} ${whens} ELSE ${fallback.sql} END`,
+    parameters: [...parameters, ...fallback.parameters]
+  }
+}
+
+/**
+ * Build the bandwidth price per GB of a version: the viewer region's price (ISO 3166-2, e.g. US-CA)
+ * when the version has one, otherwise the country's, otherwise the default
+ * @returns {{sql: string, parameters: string[]}}
+ */
+function buildBandwidthPriceCase(bandwidth, regionColumn = 'viewer_region', countryColumn = 'c_country') {
+  return buildPriceCase(
+    regionColumn,
+    bandwidth.region_prices_per_gb,
+    buildPriceCase(countryColumn, bandwidth.country_prices_per_gb, bandwidth.default_price_per_gb)
+  )
+}
+
+/**
+ * Build a SQL condition that is true for billable responses
+ * Without a billable_statuses rule every response is billable
+ * @returns {{sql: string, parameters: string[]}}
+ */
+function buildBillableCondition(rule = {}) {
+  const classes = (rule.exclude_classes || []).map(statusClass => String(statusClass[0]))
+  const codes = (rule.exclude_codes || []).map(String)
+  const exclusions = []
+
+  if (classes.length > 0) {
+    exclusions.push(`sc_status / 100 IN (${classes.map(() => '?').join(', ')})`)
+  }
+  if (codes.length > 0) {
+    exclusions.push(`sc_status IN (${codes.map(() => '?').join(', ')})`)
+  }
+
+  return {
+    sql: exclusions.length > 0 ? `NOT (${exclusions.join(' OR ')})` : 'TRUE',
+    parameters: [...classes, ...codes]
+  }
+}
+
+/**
+ * Check whether a response status is billable, the same decision as buildBillableCondition
+ * Like the SQL condition, a missing status is only billable when nothing is excluded
+ */
+function isBillableStatus(status, rule = {}) {
+  const classes = rule.exclude_classes || []
+  const codes = rule.exclude_codes || []
+
+  if (classes.length === 0 && codes.length === 0) {
+    return true
+  }
+  if (!Number.isInteger(status)) {
+    return false
+  }
+
+  return !classes.includes(`${Math.floor(status / 100)}xx`) && !codes.includes(status)
+}
+
+module.exports = {
+  STATUS_CLASSES,
+  validateCatalog,
+  loadPricingCatalog,
+  getPricingForDate,
+  getPricingForMonth,
+  buildPriceCase,
+  buildBandwidthPriceCase,
+  buildBillableCondition,
+  isBillableStatus
+}
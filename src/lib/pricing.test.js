@@ -0,0 +1,104 @@
+/**
+ * Tests for pricing.js
+ * Using uvu test framework
+ */
+
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const {
+  validateCatalog,
+  loadPricingCatalog,
+  getPricingForDate,
+  buildPriceCase,
+  buildBandwidthPriceCase,
+  buildBillableCondition,
+  isBillableStatus
+} = require('./pricing')
+
+function version(name, effectiveFrom, requestPrice) {
+  return {
+    version: name,
+    effective_from: effectiveFrom,
+    request_price_usd: requestPrice,
+    bandwidth: { default_price_per_gb: 0.12, country_prices_per_gb: { US: 0.085 } },
+    cache: { default_price_per_gb: 0.085, result_type_prices_per_gb: { Hit: 0.05 } }
+  }
+}
+
+const catalog = validateCatalog({
+  versions: [
+    version('v2', '2025-11-01', 0.0002),
+    version('v1', '2024-01-01', 0.0001)
+  ]
+})
+
+test('should load the bundled catalog', () => {
+  const bundled = loadPricingCatalog()
+  assert.ok(bundled.versions.length > 0, 'Bundled catalog should have versions')
+})
+
+test('should pick the version in effect on a date', () => {
+  assert.is(getPricingForDate('2025-10-31', catalog).version, 'v1')
+  assert.is(getPricingForDate('2025-11-01', catalog).version, 'v2', 'New price applies from its effective date')
+  assert.is(getPricingForDate('2026-01-15', catalog).version, 'v2')
+})
+
+test('should fail for dates before the first version', () => {
+  assert.throws(() => getPricingForDate('2023-12-31', catalog), /No pricing version/)
+})
+
+test('should reject invalid prices and duplicate effective dates', () => {
+  assert.throws(() => validateCatalog({ versions: [version('bad', '2024-01-01', -1)] }), /Invalid price/)
+  assert.throws(() => validateCatalog({
+    versions: [version('a', '2024-01-01', 0.1), version('b', '2024-01-01', 0.2)]
+  }), /share effective_from/)
+})
+
+test('should build a parameterized CASE expression', () => {
+  const priceCase = buildPriceCase('c_country', { US: 0.085, JP: 0.1 }, 0.12)
+
+  assert.is(priceCase.sql, 'CASE c_country WHEN ? THEN ? WHEN ? THEN ? ELSE ? END')
+  assert.equal(priceCase.parameters, ["'US'", '0.085', "'JP'", '0.1', '0.12'])
+})
+
+test('should price bandwidth by region, then country', () => {
+  const priceCase = buildBandwidthPriceCase({
+    default_price_per_gb: 0.12,
+    country_prices_per_gb: { US: 0.085 },
+    region_prices_per_gb: { 'US-AK': 0.1 }
+  })
+
+  assert.is(priceCase.sql, 'CASE viewer_region WHEN ? THEN ? ELSE CASE c_country WHEN ? THEN ? ELSE ? END END')
+  assert.equal(priceCase.parameters, ["'US-AK'", '0.1', "'US'", '0.085', '0.12'])
+
+  const withoutRegions = buildBandwidthPriceCase({ default_price_per_gb: 0.12, country_prices_per_gb: { US: 0.085 } })
+  assert.is(withoutRegions.sql, 'CASE c_country WHEN ? THEN ? ELSE ? END')
+})
+
+test('should build a billable condition from status classes and codes', () => {
+  const billable = buildBillableCondition({ exclude_classes: ['5xx'], exclude_codes: [429] })
+
+  assert.is(billable.sql, 'NOT (sc_status / 100 IN (?) OR sc_status IN (?))')
+  assert.equal(billable.parameters, ['5', '429'])
+  assert.is(buildBillableCondition().sql, 'TRUE', 'Every response is billable without a rule')
+})
+
+test('should decide billable statuses like the SQL condition', () => {
+  const rule = { exclude_classes: ['5xx'], exclude_codes: [429] }
+
+  assert.is(isBillableStatus(200, rule), true)
+  assert.is(isBillableStatus(404, rule), true)
+  assert.is(isBillableStatus(429, rule), false)
+  assert.is(isBillableStatus(503, rule), false)
+  assert.is(isBillableStatus(null, rule), false)
+  assert.is(isBillableStatus(null), true)
+})
+
+test('should reject unknown billable status classes', () => {
+  assert.throws(() => validateCatalog({
+    versions: [{ ...version('v1', '2024-01-01', 0.1), billable_statuses: { exclude_classes: ['6xx'] } }]
+  }), /status class/)
+})
+
+// Run all tests
+test.run()
@@ -0,0 +1,166 @@
+/**
+ * Usage quota status
+ * Compares a key's stored hourly usage with the quota of the API Gateway usage plan
+ * (USAGE_QUOTA_LIMIT requests per USAGE_QUOTA_PERIOD, set from custom.usageQuota in serverless.yml)
+ * and projects when the quota runs out at the current rate
+ */
+
+const { queryUsageItems } = require('./dynamodb')
+const { toSortKey } = require('./usage-range')
+const { getProvisionalItems } = require('./live-usage')
+const { hashApiKey } = require('./api-keys')
+
+// Periods of an API Gateway usage plan quota, without offsets (weeks start on Sunday UTC)
+const QUOTA_PERIODS = ['DAY', 'WEEK', 'MONTH']
+
+// Metered endpoints read the status on every request
+const CACHE_TTL_MS = 60 * 1000
+
+const cache = new Map()
+
+/**
+ * Read the usage plan quota from the environment
+ * @returns {{limit: number, period: string}}
+ */
+function getQuotaConfig() {
+  const limit = Number(process.env.USAGE_QUOTA_LIMIT)
+  const period = process.env.USAGE_QUOTA_PERIOD || 'MONTH'
+
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw new Error(`Invalid USAGE_QUOTA_LIMIT: ${JSON.stringify(process.env.USAGE_QUOTA_LIMIT)}`)
+  }
+  if (!QUOTA_PERIODS.includes(period)) {
+    throw new Error(`Invalid USAGE_QUOTA_PERIOD: ${period} (expected one of ${QUOTA_PERIODS.join(', ')})`)
+  }
+
+  return { limit, period }
+}
+
+/**
+ * Get the quota period containing a point in time
+ * @returns {{start: Date, end: Date}} - end is when the quota resets
+ */
+function getQuotaPeriod(period, now) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+  const end = new Date(start)
+
+  if (period === 'DAY') {
+    end.setUTCDate(end.getUTCDate() + 1)
+  } else if (period === 'WEEK') {
+    start.setUTCDate(start.getUTCDate() - start.getUTCDay())
+    end.setTime(start.getTime())
+    end.setUTCDate(end.getUTCDate() + 7)
+  } else {
+    start.setUTCDate(1)
+    end.setTime(start.getTime())
+    end.setUTCMonth(end.getUTCMonth() + 1)
+  }
+
+  return { start, end }
+}
+
+/**
+ * Summarize requests used against a quota
+ * Exhaustion is projected from the average rate since the start of the period and left null
+ * when the quota lasts until it resets
+ * @param {{limit: number, period: string}} quota
+ * @param {number} used - Requests made in the period
+ * @param {Date} now
+ * @returns {object} - limit, period, used, remaining, periodStart, resetAt, projectedExhaustionAt
+ */
+function summarizeQuota(quota, used, now) {
+  const { start, end } = getQuotaPeriod(quota.period, now)
+  const remaining = Math.max(0, quota.limit - used)
+  const ratePerMs = used / Math.max(1, now - start)
+
+  let projectedExhaustionAt = null
+  if (remaining === 0) {
+    projectedExhaustionAt = now
+  } else if (ratePerMs > 0) {
+    const exhaustion = new Date(now.getTime() + remaining / ratePerMs)
+    projectedExhaustionAt = exhaustion < end ? exhaustion : null
+  }
+
+  return {
+    limit: quota.limit,
+    period: quota.period,
+    used,
+    remaining,
+    periodStart: start.toISOString(),
+    resetAt: end.toISOString(),
+    projectedExhaustionAt: projectedExhaustionAt && projectedExhaustionAt.toISOString()
+  }
+}
+
+/**
+ * Get the quota status of an API key identifier from the hourly usage metrics table
+ * Hours not rolled up yet are counted from the live counters (provisionalRequests).
+ * Results are cached per key for a minute
+ */
+async function getQuotaStatus(apiKey, now = new Date()) {
+  const cached = cache.get(apiKey)
+  if (cached && now - cached.at < CACHE_TTL_MS) {
+    return cached.status
+  }
+
+  const quota = getQuotaConfig()
+  const { start, end } = getQuotaPeriod(quota.period, now)
+
+  const range = {
+    startKey: toSortKey(start),
+    endKey: toSortKey(new Date(end.getTime() - 1000))
+  }
+  const rollupItems = await queryUsageItems(process.env.HOURLY_USAGE_METRICS_TABLE, apiKey, range)
+  const { finalizedItems: items, provisionalItems } = await getProvisionalItems(apiKey, range, rollupItems, 'hour')
+
+  // API Gateway counts every request against the quota, not only billable ones
+  const countRequests = list => list.reduce((sum, item) => sum + parseInt(item.request_count?.N || '0', 10), 0)
+
+  const status = {
+    ...summarizeQuota(quota, countRequests(items) + countRequests(provisionalItems), now),
+    provisionalRequests: countRequests(provisionalItems)
+  }
+  cache.set(apiKey, { at: now, status })
+
+  return status
+}
+
+/**
+ * Response headers exposing a quota status, X-Usage-Reset is in epoch seconds
+ */
+function buildQuotaHeaders(status) {
+  return {
+    'X-Usage-Limit': String(status.limit),
+    'X-Usage-Remaining': String(status.remaining),
+    'X-Usage-Reset': String(Math.floor(Date.parse(status.resetAt) / 1000)),
+    'Access-Control-Expose-Headers': 'X-Usage-Limit, X-Usage-Remaining, X-Usage-Reset'
+  }
+}
+
+/**
+ * Quota headers for a metered endpoint response
+ * A failure to read the status never fails the request, the headers are left out instead
+ * @param {string} apiKey - Raw API key of the request
+ */
+async function getQuotaHeaders(apiKey) {
+  if (!apiKey) {
+    return {}
+  }
+
+  try {
+    return buildQuotaHeaders(await getQuotaStatus(hashApiKey(apiKey)))
+  } catch (error) {
+    console.error('Error reading quota status:', error.message)
+    return {}
+  }
+}
+
+module.exports = {
+  QUOTA_PERIODS,
+  getQuotaConfig,
+  getQuotaPeriod,
+  summarizeQuota,
+  getQuotaStatus,
+  buildQuotaHeaders,
+  getQuotaHeaders
+}
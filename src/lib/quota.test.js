@@ -0,0 +1,74 @@
+/**
+ * Tests for quota.js
+ * Using uvu test framework
+ */
+
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const {
+  getQuotaConfig,
+  getQuotaPeriod,
+  summarizeQuota,
+  buildQuotaHeaders
+} = require('./quota')
+
+const MONTHLY = { limit: 10000, period: 'MONTH' }
+
+test('should read the quota from the environment', () => {
+  process.env.USAGE_QUOTA_LIMIT = '10000'
+  process.env.USAGE_QUOTA_PERIOD = 'WEEK'
+  assert.equal(getQuotaConfig(), { limit: 10000, period: 'WEEK' })
+
+  process.env.USAGE_QUOTA_PERIOD = 'YEAR'
+  assert.throws(() => getQuotaConfig(), /Invalid USAGE_QUOTA_PERIOD/)
+
+  delete process.env.USAGE_QUOTA_PERIOD
+  delete process.env.USAGE_QUOTA_LIMIT
+  assert.throws(() => getQuotaConfig(), /Invalid USAGE_QUOTA_LIMIT/)
+})
+
+test('should find the quota period containing a time', () => {
+  const now = new Date('2025-10-15T12:30:00Z')
+
+  assert.equal(getQuotaPeriod('MONTH', now), {
+    start: new Date('2025-10-01T00:00:00Z'),
+    end: new Date('2025-11-01T00:00:00Z')
+  })
+  assert.equal(getQuotaPeriod('WEEK', now), {
+    start: new Date('2025-10-12T00:00:00Z'),
+    end: new Date('2025-10-19T00:00:00Z')
+  })
+  assert.equal(getQuotaPeriod('DAY', now).end, new Date('2025-10-16T00:00:00Z'))
+})
+
+test('should project exhaustion from the rate so far', () => {
+  // 10 days into October, 5000 requests: 500 a day runs out on day 20
+  const status = summarizeQuota(MONTHLY, 5000, new Date('2025-10-11T00:00:00Z'))
+
+  assert.is(status.remaining, 5000)
+  assert.is(status.resetAt, '2025-11-01T00:00:00.000Z')
+  assert.is(status.projectedExhaustionAt, '2025-10-21T00:00:00.000Z')
+})
+
+test('should not project exhaustion when the quota lasts the period', () => {
+  assert.is(summarizeQuota(MONTHLY, 1000, new Date('2025-10-11T00:00:00Z')).projectedExhaustionAt, null)
+  assert.is(summarizeQuota(MONTHLY, 0, new Date('2025-10-11T00:00:00Z')).projectedExhaustionAt, null)
+})
+
+test('should report an exhausted quota', () => {
+  const now = new Date('2025-10-20T00:00:00Z')
+  const status = summarizeQuota(MONTHLY, 12000, now)
+
+  assert.is(status.remaining, 0)
+  assert.is(status.projectedExhaustionAt, now.toISOString())
+})
+
+test('should expose the status as headers', () => {
+  const headers = buildQuotaHeaders(summarizeQuota(MONTHLY, 2500, new Date('2025-10-11T00:00:00Z')))
+
+  assert.is(headers['X-Usage-Limit'], '10000')
+  assert.is(headers['X-Usage-Remaining'], '7500')
+  assert.is(headers['X-Usage-Reset'], String(Date.parse('2025-11-01T00:00:00Z') / 1000))
+})
+
+test.run()
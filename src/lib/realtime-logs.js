@@ -0,0 +1,366 @@
+/**
+ * CloudFront real-time log records
+ * Parses the TSV lines CloudFront writes to the real-time logs Kinesis stream into typed records,
+ * with the API key (see lib/credentials) replaced by its HMAC identifier (see lib/api-keys).
+ * Shared by the Firehose transformation and the live usage counters
+ */
+
+const Papa = require('papaparse')
+const { hashApiKey } = require('./api-keys')
+const { resolveCredential, scrubCredentials } = require('./credentials')
+
+// Fields selected in the RealtimeLogConfig (config/realtime-log-fields.json, used by serverless.yml)
+const CONFIGURED_FIELDS = require('../../config/realtime-log-fields.json')
+
+// Order CloudFront writes real-time log fields in, whatever order the config lists them in
+// (https://docs.aws.amazon.com/AmazonCloudFront/latest/DeveloperGuide/real-time-logs.html#real-time-logs-fields)
+const CLOUDFRONT_FIELD_ORDER = [
+  'timestamp',
+  'c-ip',
+  's-ip',
+  'time-to-first-byte',
+  'sc-status',
+  'sc-bytes',
+  'cs-method',
+  'cs-protocol',
+  'cs-host',
+  'cs-uri-stem',
+  'cs-bytes',
+  'x-edge-location',
+  'x-edge-request-id',
+  'x-host-header',
+  'time-taken',
+  'cs-protocol-version',
+  'c-ip-version',
+  'cs-user-agent',
+  'cs-referer',
+  'cs-cookie',
+  'cs-uri-query',
+  'x-edge-response-result-type',
+  'x-forwarded-for',
+  'ssl-protocol',
+  'ssl-cipher',
+  'x-edge-result-type',
+  'fle-encrypted-fields',
+  'fle-status',
+  'sc-content-type',
+  'sc-content-len',
+  'sc-range-start',
+  'sc-range-end',
+  'c-port',
+  'x-edge-detailed-result-type',
+  'c-country',
+  'cs-accept-encoding',
+  'cs-accept',
+  'cache-behavior-path-pattern',
+  'cs-headers',
+  'cs-header-names',
+  'cs-headers-count',
+  'primary-distribution-id',
+  'primary-distribution-dns-name',
+  'origin-fbl',
+  'origin-lbl',
+  'asn'
+]
+
+/**
+ * Column name of a CloudFront field, e.g. cs-uri-stem -> cs_uri_stem
+ */
+function toColumnName(field) {
+  return field.replace(/-/g, '_')
+}
+
+// Output columns, one per configured field
+const FIELD_NAMES = CONFIGURED_FIELDS.map(toColumnName)
+
+// Shape of the raw values of fields that can tell a misaligned layout apart, '-' always matches
+const INTEGER = /^-?\d+$/
+const DECIMAL = /^\d+(\.\d+)?$/
+const RESULT_TYPE = /^[A-Za-z]+$/
+const HOSTNAME = /^[A-Za-z0-9.:-]+$/
+const IP_ADDRESS = /^([0-9.]+|[0-9a-fA-F:]*:[0-9a-fA-F:.]*)$/
+
+const FIELD_SHAPES = {
+  timestamp: /^\d{9,}(\.\d+)?$/,
+  c_ip: IP_ADDRESS,
+  s_ip: IP_ADDRESS,
+  time_to_first_byte: DECIMAL,
+  sc_status: /^\d{3}$/,
+  sc_bytes: INTEGER,
+  cs_method: /^[A-Z]+$/,
+  cs_protocol: /^(https?|wss?)$/,
+  cs_host: HOSTNAME,
+  cs_uri_stem: /^\//,
+  cs_bytes: INTEGER,
+  x_edge_location: /^[A-Z]{3}\d+(-[A-Za-z0-9]+)?$/,
+  x_edge_request_id: /^[A-Za-z0-9_=-]{16,}$/,
+  x_host_header: HOSTNAME,
+  time_taken: DECIMAL,
+  cs_protocol_version: /^(HTTP\/[\d.]+|SPDY\/[\d.]+)$/,
+  c_ip_version: /^IPv[46]$/,
+  cs_referer: /^[A-Za-z][A-Za-z0-9+.-]*:/,
+  cs_cookie: /=/,
+  x_edge_response_result_type: RESULT_TYPE,
+  ssl_protocol: /^(TLS|SSL)v[\d.]+$/,
+  x_edge_result_type: RESULT_TYPE,
+  fle_encrypted_fields: INTEGER,
+  sc_content_type: /\//,
+  sc_content_len: INTEGER,
+  sc_range_start: INTEGER,
+  sc_range_end: INTEGER,
+  c_port: INTEGER,
+  x_edge_detailed_result_type: RESULT_TYPE,
+  c_country: /^[A-Z]{2}$/,
+  cs_headers: /:/,
+  cs_header_names: /^[^:]*$/,
+  cs_headers_count: INTEGER,
+  primary_distribution_dns_name: HOSTNAME,
+  origin_fbl: DECIMAL,
+  origin_lbl: DECIMAL,
+  asn: INTEGER
+}
+
+// Fields CloudFront writes a value for on every request
+const REQUIRED_FIELDS = [
+  'timestamp',
+  'c_ip',
+  'sc_status',
+  'cs_method',
+  'cs_protocol',
+  'cs_uri_stem',
+  'x_edge_location',
+  'x_edge_request_id',
+  'cs_protocol_version',
+  'c_ip_version',
+  'x_edge_response_result_type',
+  'x_edge_result_type',
+  'x_edge_detailed_result_type'
+]
+
+/**
+ * Check that every value has the shape of the field it would be assigned to
+ * and that no required field is left out or empty
+ */
+function matchesLayout(values, layout, columns) {
+  const assigned = layout.every((column, i) => {
+    const empty = values[i] === '' || values[i] === '-'
+    if (empty) {
+      return !REQUIRED_FIELDS.includes(column)
+    }
+    return !FIELD_SHAPES[column] || FIELD_SHAPES[column].test(values[i])
+  })
+
+  return assigned && columns.every(column => layout.includes(column) || !REQUIRED_FIELDS.includes(column))
+}
+
+/**
+ * Work out which field each value of a record belongs to
+ * CloudFront writes the configured fields in its own order, not the order they are configured in.
+ * Layouts are tried in that order, then in the configured order, and for a record one value short,
+ * in the same order with each optional field left out. A layout is accepted when every value has the shape of its
+ * field and required fields have values; a record that fits no layout, or several layouts that
+ * would read it differently, is not aligned
+ * @param {string[]} values - Raw values of one record
+ * @param {string[]} [fields] - Configured CloudFront field names, defaults to config/realtime-log-fields.json
+ * @returns {string[]|null} Column name of each value, null when the layout cannot be determined
+ */
+function resolveFieldLayout(values, fields = CONFIGURED_FIELDS) {
+  const columns = fields.map(toColumnName)
+  // Fields missing from the documented order keep their configured position after the known ones
+  const rank = field => CLOUDFRONT_FIELD_ORDER.includes(field) ? CLOUDFRONT_FIELD_ORDER.indexOf(field) : Infinity
+  const delivered = [...fields].sort((a, b) => rank(a) - rank(b) || 0).map(toColumnName)
+
+  // Complete layouts first, then layouts missing one optional field
+  const groups = [
+    ...[delivered, columns].filter(layout => layout.length === values.length).map(layout => [layout]),
+    ...[delivered, columns].filter(layout => layout.length === values.length + 1)
+      .map(layout => layout.map((_, skipped) => layout.filter((__, i) => i !== skipped)))
+  ]
+
+  for (const candidates of groups) {
+    const readings = new Map()
+    for (const layout of candidates) {
+      if (matchesLayout(values, layout, columns)) {
+        // Layouts that assign the same value to every column read the record the same way
+        const reading = JSON.stringify(columns.map(column => {
+          const value = values[layout.indexOf(column)]
+          return value === undefined || value === '' || value === '-' ? null : value
+        }))
+        readings.set(reading, readings.get(reading) || layout)
+      }
+    }
+
+    // The first group that fits decides, several readings leave the record ambiguous
+    if (readings.size > 0) {
+      return readings.size === 1 ? [...readings.values()][0] : null
+    }
+  }
+
+  return null
+}
+
+/**
+ * Convert CloudFront field value to proper type
+ */
+function convertFieldType(fieldName, value) {
+  // Handle null/empty values
+  if (!value || value === '-') {
+    return null
+  }
+
+  // Integer fields
+  if ([
+    'sc_status',
+    'sc_bytes',
+    'cs_bytes',
+    'sc_content_len',
+    'sc_range_start',
+    'sc_range_end',
+    'c_port',
+    'fle_encrypted_fields',
+    'cs_headers_count',
+    'asn'
+  ].includes(fieldName)) {
+    return parseInt(value, 10)
+  }
+
+  // Timestamp - convert to milliseconds as bigint
+  if (fieldName === 'timestamp') {
+    return Math.floor(parseFloat(value) * 1000)
+  }
+
+  // Float/Double fields
+  if ([
+    'time_to_first_byte',
+    'time_taken',
+    'origin_fbl',
+    'origin_lbl'
+  ].includes(fieldName)) {
+    return parseFloat(value)
+  }
+
+  // String fields - return as-is
+  return value
+}
+
+// Columns decoded from the CloudFront-Viewer-* headers CloudFront adds to cs_headers
+const VIEWER_HEADER_COLUMNS = {
+  'Cloudfront-Viewer-Country-Region-Name': 'viewer_region_name',
+  'Cloudfront-Viewer-City': 'viewer_city',
+  'Cloudfront-Viewer-Postal-Code': 'viewer_postal_code',
+  'Cloudfront-Viewer-Time-Zone': 'viewer_time_zone',
+  'Cloudfront-Viewer-Metro-Code': 'viewer_metro_code',
+  'Cloudfront-Viewer-Latitude': 'viewer_latitude',
+  'Cloudfront-Viewer-Longitude': 'viewer_longitude'
+}
+
+const VIEWER_COLUMNS = ['viewer_region', ...Object.values(VIEWER_HEADER_COLUMNS)]
+
+/**
+ * Read the decoded headers of a cs_headers field (`Name:value` lines separated by %0A)
+ * @returns {Map<string, string>} - Values by lower-cased header name
+ */
+function readHeaders(csHeaders) {
+  const headers = new Map()
+
+  for (const line of (csHeaders || '').split('%0A')) {
+    const separator = line.indexOf(':')
+    if (separator <= 0) continue
+
+    try {
+      headers.set(line.slice(0, separator).toLowerCase(), decodeURIComponent(line.slice(separator + 1)))
+    } catch (error) {
+      // Values that are not valid URL encoding are left out
+    }
+  }
+
+  return headers
+}
+
+/**
+ * Decode the viewer location CloudFront adds as CloudFront-Viewer-* headers
+ * viewer_region is the ISO 3166-2 subdivision code, e.g. US-CA, the key regional prices use
+ * @param {string|null} csHeaders - URL-encoded headers string
+ * @param {string|null} country - c_country of the record, the header is used when it is missing
+ * @returns {object} - VIEWER_COLUMNS, null when the header is absent
+ */
+function extractViewerLocation(csHeaders, country) {
+  const headers = readHeaders(csHeaders)
+  const header = name => headers.get(name.toLowerCase()) || null
+
+  const location = Object.fromEntries(VIEWER_COLUMNS.map(column => [column, null]))
+
+  const viewerCountry = country || header('Cloudfront-Viewer-Country')
+  const subdivision = header('Cloudfront-Viewer-Country-Region')
+  if (viewerCountry && subdivision) {
+    location.viewer_region = `${viewerCountry}-${subdivision}`
+  }
+
+  for (const [name, column] of Object.entries(VIEWER_HEADER_COLUMNS)) {
+    location[column] = header(name)
+  }
+
+  for (const column of ['viewer_latitude', 'viewer_longitude']) {
+    const value = parseFloat(location[column])
+    location[column] = Number.isFinite(value) ? value : null
+  }
+
+  return location
+}
+
+/**
+ * Parse TSV line to JSON using papaparse
+ * Errors carry a reason code (PARSE_ERROR, FIELD_LAYOUT), see lib/transform-errors
+ */
+function parseTsvToJson(tsvLine) {
+  // Parse TSV with papaparse
+  const parsed = Papa.parse(tsvLine, {
+    delimiter: '\t',
+    header: false,
+    skipEmptyLines: true
+  })
+
+  if (parsed.errors.length > 0) {
+    throw Object.assign(new Error(`Parse error: ${parsed.errors[0].message}`), { code: 'PARSE_ERROR' })
+  }
+
+  if (!parsed.data || parsed.data.length === 0) {
+    throw Object.assign(new Error('No data parsed from TSV'), { code: 'PARSE_ERROR' })
+  }
+
+  const values = parsed.data[0]
+  const layout = resolveFieldLayout(values)
+  if (!layout) {
+    throw Object.assign(
+      new Error(`Cannot determine the field layout of a record with ${values.length} values (${FIELD_NAMES.length} fields configured)`),
+      { code: 'FIELD_LAYOUT' }
+    )
+  }
+
+  // Every configured column is present, fields missing from the record are null
+  const record = Object.fromEntries(FIELD_NAMES.map(fieldName => [fieldName, null]))
+  layout.forEach((fieldName, i) => {
+    record[fieldName] = convertFieldType(fieldName, values[i])
+  })
+
+  // Decode the viewer location before credentials are scrubbed from the headers
+  Object.assign(record, extractViewerLocation(record.cs_headers, record.c_country))
+
+  // Replace the API key by its identifier and drop every credential from the stored fields
+  const credential = resolveCredential(record)
+  record.api_key = credential ? hashApiKey(credential.apiKey) : null
+  record.api_key_source = credential ? credential.source : null
+  Object.assign(record, scrubCredentials(record))
+
+  return record
+}
+
+module.exports = {
+  CLOUDFRONT_FIELD_ORDER,
+  FIELD_NAMES,
+  VIEWER_COLUMNS,
+  resolveFieldLayout,
+  convertFieldType,
+  extractViewerLocation,
+  parseTsvToJson
+}
@@ -0,0 +1,191 @@
+/**
+ * Tests for realtime-logs.js
+ * Using uvu test framework
+ */
+
+process.env.API_KEY_HASH_SECRET = 'test-secret-of-at-least-32-characters'
+
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const fs = require('fs')
+const path = require('path')
+const { FIELD_NAMES, VIEWER_COLUMNS, resolveFieldLayout, extractViewerLocation, parseTsvToJson } = require('./realtime-logs')
+
+// Raw values of one request, by column
+const VALUES = {
+  timestamp: '1759687169.596',
+  c_ip: '32.142.164.10',
+  s_ip: '65.8.177.136',
+  time_to_first_byte: '0.597',
+  sc_status: '200',
+  sc_bytes: '881',
+  cs_method: 'POST',
+  cs_protocol: 'https',
+  cs_host: 'd3o60fb1dwgq5k.cloudfront.net',
+  cs_uri_stem: '/data',
+  cs_bytes: '345',
+  x_edge_location: 'SFO53-P9',
+  x_edge_request_id: 'e84rly0hAmwHfcOz0WdbcRQGN8iPYMjLmNa9gpmGd39dLsOlcxKINg==',
+  x_host_header: 'd3o60fb1dwgq5k.cloudfront.net',
+  time_taken: '0.615',
+  cs_protocol_version: 'HTTP/1.1',
+  c_ip_version: 'IPv4',
+  cs_user_agent: 'vscode-restclient',
+  cs_referer: '-',
+  cs_cookie: '-',
+  cs_uri_query: 'page=2',
+  x_edge_response_result_type: 'Miss',
+  x_forwarded_for: '-',
+  ssl_protocol: 'TLSv1.3',
+  ssl_cipher: 'TLS_AES_128_GCM_SHA256',
+  x_edge_result_type: 'Miss',
+  fle_encrypted_fields: '-',
+  fle_status: '-',
+  sc_content_type: 'application/json',
+  sc_content_len: '200',
+  sc_range_start: '-',
+  sc_range_end: '-',
+  c_port: '62915',
+  x_edge_detailed_result_type: 'Miss',
+  c_country: 'US',
+  cs_accept_encoding: 'gzip',
+  cs_accept: '*/*',
+  cache_behavior_path_pattern: '*',
+  cs_headers: 'User-Agent:vscode-restclient%0AX-Api-Key:test-key%0A',
+  cs_header_names: 'User-Agent%0AX-Api-Key%0A',
+  cs_headers_count: '28',
+  origin_fbl: '0.542',
+  origin_lbl: '0.542',
+  asn: '7018'
+}
+
+// Fields in the order CloudFront writes them, cs-uri-query after cs-cookie
+const DELIVERED = [
+  'timestamp', 'c_ip', 's_ip', 'time_to_first_byte', 'sc_status', 'sc_bytes', 'cs_method',
+  'cs_protocol', 'cs_host', 'cs_uri_stem', 'cs_bytes', 'x_edge_location', 'x_edge_request_id',
+  'x_host_header', 'time_taken', 'cs_protocol_version', 'c_ip_version', 'cs_user_agent',
+  'cs_referer', 'cs_cookie', 'cs_uri_query', 'x_edge_response_result_type', 'x_forwarded_for',
+  'ssl_protocol', 'ssl_cipher', 'x_edge_result_type', 'fle_encrypted_fields', 'fle_status',
+  'sc_content_type', 'sc_content_len', 'sc_range_start', 'sc_range_end', 'c_port',
+  'x_edge_detailed_result_type', 'c_country', 'cs_accept_encoding', 'cs_accept',
+  'cache_behavior_path_pattern', 'cs_headers', 'cs_header_names', 'cs_headers_count',
+  'origin_fbl', 'origin_lbl', 'asn'
+]
+
+function tsvLine(columns, values = VALUES) {
+  return columns.map(column => values[column]).join('\t')
+}
+
+test('should follow the fields configured in serverless.yml', () => {
+  const serverless = fs.readFileSync(path.join(__dirname, '../../serverless.yml'), 'utf8')
+
+  assert.ok(serverless.includes('Fields: ${file(./config/realtime-log-fields.json)}'))
+  assert.is(FIELD_NAMES.length, 44)
+  assert.is(FIELD_NAMES[10], 'cs_uri_query')
+})
+
+test('should align values written in CloudFront order', () => {
+  const record = parseTsvToJson(tsvLine(DELIVERED))
+
+  assert.is(record.cs_bytes, 345)
+  assert.is(record.x_edge_location, 'SFO53-P9')
+  assert.is(record.cs_uri_query, 'page=2')
+  assert.is(record.x_edge_response_result_type, 'Miss')
+  assert.is(record.asn, 7018)
+})
+
+test('should align values written in the configured order', () => {
+  const record = parseTsvToJson(tsvLine(FIELD_NAMES))
+
+  assert.is(record.cs_uri_query, 'page=2')
+  assert.is(record.cs_bytes, 345)
+  assert.is(record.x_edge_location, 'SFO53-P9')
+})
+
+test('should align a record missing cs_bytes', () => {
+  const record = parseTsvToJson(tsvLine(DELIVERED.filter(column => column !== 'cs_bytes')))
+
+  assert.is(record.cs_bytes, null)
+  assert.is(record.x_edge_location, 'SFO53-P9')
+  assert.is(record.x_host_header, 'd3o60fb1dwgq5k.cloudfront.net')
+  assert.is(record.cs_uri_query, 'page=2')
+  assert.is(record.asn, 7018)
+  assert.ok(record.api_key)
+})
+
+test('should accept missing fields that read the record the same way', () => {
+  // cs_referer, cs_cookie and cs_uri_query are all '-', any of them can be the missing field
+  const values = { ...VALUES, cs_uri_query: '-' }
+  const layout = resolveFieldLayout(tsvLine(DELIVERED.filter(column => column !== 'cs_referer'), values).split('\t'))
+
+  assert.ok(layout)
+  assert.is(layout.length, 43)
+})
+
+test('should reject missing fields that read the record differently', () => {
+  // Without cs_referer, 'page=2' could be the cookie or the query string
+  assert.is(resolveFieldLayout(tsvLine(DELIVERED.filter(column => column !== 'cs_referer')).split('\t')), null)
+})
+
+test('should reject records that fit no layout', () => {
+  assert.is(resolveFieldLayout(tsvLine(DELIVERED.slice(0, 40)).split('\t')), null)
+  assert.is(resolveFieldLayout(['not-enough-fields', 'only-two']), null)
+
+  const shifted = DELIVERED.map(column => VALUES[column])
+  shifted.splice(4, 0, 'extra')
+  assert.is(resolveFieldLayout(shifted.slice(0, 44)), null)
+})
+
+test('should resolve bearer tokens and scrub them', () => {
+  const values = { ...VALUES, cs_headers: 'Authorization:Bearer%20test-key%0AHost:example.com%0A' }
+  const line = tsvLine(DELIVERED, values)
+  const record = parseTsvToJson(line)
+
+  assert.is(record.api_key, parseTsvToJson(tsvLine(DELIVERED)).api_key, 'Same key, same identifier')
+  assert.is(record.api_key_source, 'bearer')
+  assert.is(record.cs_headers, 'Authorization:REDACTED%0AHost:example.com%0A')
+})
+
+test('should resolve cookies and scrub them from cs_cookie and cs_headers', () => {
+  const values = {
+    ...VALUES,
+    cs_cookie: 'session=1;%20api_key=test-key',
+    cs_headers: 'Host:example.com%0ACookie:session=1;%20api_key=test-key%0A'
+  }
+  const record = parseTsvToJson(tsvLine(DELIVERED, values))
+
+  assert.is(record.api_key, parseTsvToJson(tsvLine(DELIVERED)).api_key, 'Same key, same identifier')
+  assert.is(record.api_key_source, 'cookie:api_key')
+  assert.not.ok(record.cs_cookie.includes('test-key'), 'cs_cookie should not hold the raw key')
+  assert.not.ok(record.cs_headers.includes('test-key'), 'cs_headers should not hold the raw key')
+})
+
+test('should leave records without a key unattributed', () => {
+  const record = parseTsvToJson(tsvLine(DELIVERED, { ...VALUES, cs_headers: 'Host:example.com%0A' }))
+
+  assert.is(record.api_key, null)
+  assert.is(record.api_key_source, null)
+})
+
+test('should fall back to the country header and leave missing viewer headers null', () => {
+  const location = extractViewerLocation('Cloudfront-Viewer-Country:DE%0Acloudfront-viewer-country-region:BE%0ACloudfront-Viewer-Latitude:abc%0A', null)
+
+  assert.is(location.viewer_region, 'DE-BE', 'Header names are case-insensitive')
+  assert.is(location.viewer_city, null)
+  assert.is(location.viewer_latitude, null, 'Unparseable coordinates are null')
+  assert.equal(Object.keys(location), VIEWER_COLUMNS)
+  assert.equal(Object.values(extractViewerLocation(null, 'US')), VIEWER_COLUMNS.map(() => null))
+})
+
+test('should throw when the layout cannot be determined', () => {
+  assert.throws(() => parseTsvToJson(tsvLine(DELIVERED.slice(0, 40))), /Cannot determine the field layout/)
+})
+
+test('should resolve layouts against a given field list', () => {
+  const layout = resolveFieldLayout(['1759687169.596', '200', 'US'], ['c-country', 'sc-status', 'timestamp'])
+
+  assert.equal(layout, ['timestamp', 'sc_status', 'c_country'])
+})
+
+// Run all tests
+test.run()
@@ -0,0 +1,106 @@
+/**
+ * Tiered pricing
+ * Graduated tiers price each unit at the rate of the tier it falls in;
+ * volume tiers price every unit at the rate of the tier the total quantity reaches
+ */
+
+const TIER_MODES = ['graduated', 'volume']
+
+/**
+ * Validate a tier definition: ascending `up_to` bounds, last tier unbounded (`up_to: null`)
+ * @param {{mode: string, tiers: Array<{up_to: number|null, unit_price_usd: number}>}} definition
+ */
+function validateTiers(definition, name = 'tiers') {
+  if (!definition || !TIER_MODES.includes(definition.mode)) {
+    throw new Error(`Invalid ${name} mode: ${JSON.stringify(definition?.mode)} (expected one of ${TIER_MODES.join(', ')})`)
+  }
+
+  const tiers = definition.tiers
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw new Error(`${name} must define at least one tier`)
+  }
+
+  let previousBound = 0
+  tiers.forEach((tier, i) => {
+    const isLast = i === tiers.length - 1
+
+    if (typeof tier.unit_price_usd !== 'number' || !(tier.unit_price_usd >= 0)) {
+      throw new Error(`Invalid unit_price_usd in ${name} tier ${i + 1}`)
+    }
+    if (isLast && tier.up_to !== null) {
+      throw new Error(`Last ${name} tier must be unbounded (up_to: null)`)
+    }
+    if (!isLast && !(typeof tier.up_to === 'number' && tier.up_to > previousBound)) {
+      throw new Error(`${name} tier ${i + 1} up_to must be greater than ${previousBound}`)
+    }
+
+    previousBound = tier.up_to
+  })
+
+  return definition
+}
+
+/**
+ * Round a currency amount to 1/10000 of a dollar, the precision used by the billing queries
+ */
+function roundUsd(amount) {
+  return Math.round(amount * 10000) / 10000
+}
+
+/**
+ * Price a quantity against a tier definition
+ * @returns {{quantity: number, amount_usd: number, line_items: object[]}}
+ */
+function applyTiers(quantity, definition) {
+  validateTiers(definition)
+
+  const lineItems = []
+  let from = 0
+
+  for (const [i, tier] of definition.tiers.entries()) {
+    const upTo = tier.up_to === null ? Infinity : tier.up_to
+
+    if (definition.mode === 'volume') {
+      // The whole quantity is priced at the first tier whose bound it does not exceed
+      if (quantity <= upTo) {
+        lineItems.push(lineItem(i, from, tier, quantity))
+        break
+      }
+    } else {
+      const unitsInTier = Math.max(0, Math.min(quantity, upTo) - from)
+      if (unitsInTier > 0) {
+        lineItems.push(lineItem(i, from, tier, unitsInTier))
+      }
+      if (quantity <= upTo) break
+    }
+
+    from = upTo
+  }
+
+  return {
+    quantity,
+    amount_usd: roundUsd(lineItems.reduce((sum, item) => sum + item.amount_usd, 0)),
+    line_items: lineItems
+  }
+}
+
+/**
+ * Build a single per-tier line item
+ */
+function lineItem(index, from, tier, quantity) {
+  return {
+    tier: index + 1,
+    from,
+    up_to: tier.up_to,
+    quantity,
+    unit_price_usd: tier.unit_price_usd,
+    amount_usd: roundUsd(quantity * tier.unit_price_usd)
+  }
+}
+
+module.exports = {
+  TIER_MODES,
+  validateTiers,
+  applyTiers,
+  roundUsd
+}
@@ -0,0 +1,87 @@
+/**
+ * Tests for tiers.js and monthly-charges.js
+ * Using uvu test framework
+ */
+
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const { applyTiers, validateTiers } = require('./tiers')
+const { calculateMonthlyCharges } = require('./monthly-charges')
+
+const requestTiers = {
+  mode: 'graduated',
+  tiers: [
+    { up_to: 100000, unit_price_usd: 0 },
+    { up_to: 1100000, unit_price_usd: 0.0001 },
+    { up_to: null, unit_price_usd: 0.00005 }
+  ]
+}
+
+test('should price graduated tiers per unit in each tier', () => {
+  const result = applyTiers(1500000, requestTiers)
+
+  assert.equal(result.line_items.map(item => item.quantity), [100000, 1000000, 400000])
+  assert.equal(result.line_items.map(item => item.amount_usd), [0, 100, 20])
+  assert.is(result.amount_usd, 120)
+})
+
+test('should stop at the tier the quantity falls in', () => {
+  const result = applyTiers(50000, requestTiers)
+
+  assert.is(result.line_items.length, 1, 'Only the free tier should be used')
+  assert.is(result.amount_usd, 0)
+})
+
+test('should price every unit at the reached tier for volume tiers', () => {
+  const volume = { ...requestTiers, mode: 'volume' }
+  const result = applyTiers(1500000, volume)
+
+  assert.is(result.line_items.length, 1, 'Volume pricing produces a single line item')
+  assert.is(result.line_items[0].tier, 3)
+  assert.is(result.amount_usd, 75)
+})
+
+test('should reject invalid tier definitions', () => {
+  assert.throws(() => validateTiers({ mode: 'stairstep', tiers: requestTiers.tiers }), /Invalid tiers mode/)
+  assert.throws(() => validateTiers({
+    mode: 'graduated',
+    tiers: [{ up_to: 100, unit_price_usd: 0 }]
+  }), /must be unbounded/)
+  assert.throws(() => validateTiers({
+    mode: 'graduated',
+    tiers: [{ up_to: 100, unit_price_usd: 0 }, { up_to: 50, unit_price_usd: 1 }, { up_to: null, unit_price_usd: 1 }]
+  }), /must be greater than 100/)
+})
+
+test('should calculate monthly charges from daily items', () => {
+  const day = (requests, bytes) => ({
+    request_count: { N: String(requests) },
+    total_bytes_sent: { N: String(bytes) }
+  })
+  const dailyItems = [day(600000, 1024 ** 3), day(900000, 1024 ** 3)]
+
+  const charges = calculateMonthlyCharges(dailyItems, {
+    requests: requestTiers,
+    gb_sent: { mode: 'volume', tiers: [{ up_to: null, unit_price_usd: 0.085 }] }
+  })
+
+  assert.is(charges.usage.requests, 1500000)
+  assert.is(charges.usage.gb_sent, 2)
+  assert.is(charges.metrics.requests.amount_usd, 120)
+  assert.is(charges.metrics.gb_sent.amount_usd, 0.17)
+  assert.is(charges.total_usd, 120.17)
+})
+
+test('should bill billable requests when the rollup recorded them', () => {
+  const dailyItems = [
+    { request_count: { N: '1000' }, billable_requests: { N: '900' }, total_bytes_sent: { N: '0' } },
+    { request_count: { N: '500' }, total_bytes_sent: { N: '0' } }
+  ]
+
+  const charges = calculateMonthlyCharges(dailyItems, { requests: requestTiers })
+
+  assert.is(charges.usage.requests, 1400)
+})
+
+// Run all tests
+test.run()
@@ -0,0 +1,158 @@
+/**
+ * Failed transform records
+ * Records the Firehose transformation cannot parse are quarantined as error envelopes (reason code,
+ * field count, parse error and the payload with its credentials scrubbed) under the error prefix of
+ * the real-time logs bucket, so failures can be counted by reason and replayed with
+ * scripts/replay-failed-logs.js. The identifier of the record's API key is kept next to the payload
+ */
+
+const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3')
+const { hashApiKey } = require('./api-keys')
+const { resolveLineCredential, scrubLogLine } = require('./credentials')
+
+const s3 = new S3Client()
+
+const TRANSFORM_QUARANTINE_BUCKET = process.env.TRANSFORM_QUARANTINE_BUCKET
+
+// Next to the processing-failed/ objects Firehose writes under ErrorOutputPrefix
+const QUARANTINE_PREFIX = 'realtime-logs-errors/transform-failed/'
+
+// Codes set on the errors thrown by lib/realtime-logs and lib/api-keys
+const REASON_CODES = ['PARSE_ERROR', 'FIELD_LAYOUT', 'HASH_SECRET_MISSING']
+
+const UNEXPECTED_ERROR = 'UNEXPECTED_ERROR'
+
+/**
+ * Reason code of a transform error
+ */
+function getReasonCode(error) {
+  return REASON_CODES.includes(error?.code) ? error.code : UNEXPECTED_ERROR
+}
+
+/**
+ * Scrub the credentials from a base64 TSV payload, keeping the identifier of its API key
+ * The identifier is null when the payload holds no key or it cannot be hashed (HASH_SECRET_MISSING)
+ * @returns {{payload: string, apiKey: string|null, apiKeySource: string|null}}
+ */
+function scrubPayload(data) {
+  const text = Buffer.from(data || '', 'base64').toString('utf-8')
+  const credential = resolveLineCredential(text)
+  let apiKey = null
+
+  if (credential) {
+    try {
+      apiKey = hashApiKey(credential.apiKey)
+    } catch (error) {
+      apiKey = null
+    }
+  }
+
+  return {
+    payload: Buffer.from(scrubLogLine(text), 'utf-8').toString('base64'),
+    apiKey,
+    apiKeySource: credential ? credential.source : null
+  }
+}
+
+/**
+ * Wrap a failed Firehose record in an error envelope
+ * @param {{recordId: string, data: string, approximateArrivalTimestamp?: number}} record - Firehose record (base64 TSV)
+ * @param {Error} error - Error thrown while transforming it
+ * @param {{invocationId?: string, deliveryStreamArn?: string, failedAt?: Date}} [context]
+ * @returns {object}
+ */
+function buildErrorEnvelope(record, error, { invocationId, deliveryStreamArn, failedAt = new Date() } = {}) {
+  const tsv = Buffer.from(record.data || '', 'base64').toString('utf-8').trim()
+  const { payload, apiKey, apiKeySource } = scrubPayload(record.data)
+
+  return {
+    reason: getReasonCode(error),
+    message: error.message,
+    field_count: tsv ? tsv.split('\t').length : 0,
+    record_id: record.recordId,
+    invocation_id: invocationId || null,
+    delivery_stream_arn: deliveryStreamArn || null,
+    approximate_arrival_timestamp: record.approximateArrivalTimestamp || null,
+    failed_at: failedAt.toISOString(),
+    payload,
+    payload_scrubbed: true,
+    api_key: apiKey,
+    api_key_source: apiKeySource
+  }
+}
+
+/**
+ * S3 key of the quarantine object of one invocation, partitioned by the day it failed
+ */
+function getQuarantineKey(invocationId, failedAt = new Date()) {
+  const [year, month, day] = failedAt.toISOString().split('T')[0].split('-')
+  return `${QUARANTINE_PREFIX}year=${year}/month=${month}/day=${day}/${invocationId}.ndjson`
+}
+
+/**
+ * Write the error envelopes of an invocation as one NDJSON object
+ * Skipped when no quarantine bucket is configured
+ * @returns {Promise<string|null>} - Key written
+ */
+async function quarantineRecords(envelopes, invocationId, failedAt = new Date()) {
+  if (!TRANSFORM_QUARANTINE_BUCKET || envelopes.length === 0) {
+    return null
+  }
+
+  const key = getQuarantineKey(invocationId, failedAt)
+
+  await s3.send(
+    new PutObjectCommand({
+      Bucket: TRANSFORM_QUARANTINE_BUCKET,
+      Key: key,
+      Body: envelopes.map(envelope => JSON.stringify(envelope)).join('\n') + '\n',
+      ContentType: 'application/x-ndjson',
+    })
+  )
+
+  return key
+}
+
+/**
+ * Read the failed records of an error object
+ * Accepts quarantine envelopes and the records Firehose writes under processing-failed/ (rawData).
+ * Payloads that still hold credentials are scrubbed as they are read, so a record found in both
+ * has the same payload
+ * @param {string} text - NDJSON contents
+ * @returns {Array<{payload: string, apiKey: string|null, apiKeySource: string|null, reason: string, recordId: string|null}>}
+ */
+function readErrorObject(text) {
+  return text.split('\n').filter(line => line.trim()).map((line) => {
+    const entry = JSON.parse(line)
+
+    if (entry.payload_scrubbed) {
+      return {
+        payload: entry.payload,
+        apiKey: entry.api_key,
+        apiKeySource: entry.api_key_source,
+        reason: entry.reason,
+        recordId: entry.record_id || null
+      }
+    }
+    if (entry.payload !== undefined) {
+      return { ...scrubPayload(entry.payload), reason: entry.reason, recordId: entry.record_id || null }
+    }
+    if (entry.rawData !== undefined) {
+      return { ...scrubPayload(entry.rawData), reason: entry.errorCode || UNEXPECTED_ERROR, recordId: null }
+    }
+
+    throw new Error('Error object line has neither payload nor rawData')
+  })
+}
+
+module.exports = {
+  QUARANTINE_PREFIX,
+  REASON_CODES,
+  UNEXPECTED_ERROR,
+  getReasonCode,
+  scrubPayload,
+  buildErrorEnvelope,
+  getQuarantineKey,
+  quarantineRecords,
+  readErrorObject
+}
@@ -0,0 +1,117 @@
+/**
+ * Tests for transform-errors.js
+ * Using uvu test framework
+ */
+
+process.env.API_KEY_HASH_SECRET = 'test-secret-of-at-least-32-characters'
+
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const { hashApiKey } = require('./api-keys')
+const {
+  QUARANTINE_PREFIX,
+  getReasonCode,
+  buildErrorEnvelope,
+  getQuarantineKey,
+  readErrorObject
+} = require('./transform-errors')
+
+const payload = Buffer.from('1759687169.596\t32.142.164.10\t-\n', 'utf-8').toString('base64')
+
+// A record with a key in its headers, cookie and query string, cut short so it fits no layout
+const withKey = Buffer.from([
+  '1759687169.596',
+  'session=1;%20api_key=c-key-123',
+  'page=2&cf_api_key=c-key-123',
+  'Host:example.com%0AX-Api-Key:c-key-123%0ACookie:session=1;%20api_key=c-key-123%0A'
+].join('\t') + '\n', 'utf-8').toString('base64')
+
+test('should keep known reason codes and map the rest to UNEXPECTED_ERROR', () => {
+  assert.is(getReasonCode(Object.assign(new Error('x'), { code: 'FIELD_LAYOUT' })), 'FIELD_LAYOUT')
+  assert.is(getReasonCode(Object.assign(new Error('x'), { code: 'ENOENT' })), 'UNEXPECTED_ERROR')
+  assert.is(getReasonCode(new Error('x')), 'UNEXPECTED_ERROR')
+})
+
+test('should wrap the original payload with the reason and field count', () => {
+  const error = Object.assign(new Error('Cannot determine the field layout'), { code: 'FIELD_LAYOUT' })
+  const envelope = buildErrorEnvelope(
+    { recordId: 'record-1', data: payload, approximateArrivalTimestamp: 1759687170000 },
+    error,
+    { invocationId: 'invocation-1', deliveryStreamArn: 'arn:aws:firehose:us-east-1:123:deliverystream/logs', failedAt: new Date('2025-10-05T18:00:00Z') }
+  )
+
+  assert.equal(envelope, {
+    reason: 'FIELD_LAYOUT',
+    message: 'Cannot determine the field layout',
+    field_count: 3,
+    record_id: 'record-1',
+    invocation_id: 'invocation-1',
+    delivery_stream_arn: 'arn:aws:firehose:us-east-1:123:deliverystream/logs',
+    approximate_arrival_timestamp: 1759687170000,
+    failed_at: '2025-10-05T18:00:00.000Z',
+    payload,
+    payload_scrubbed: true,
+    api_key: null,
+    api_key_source: null
+  })
+})
+
+test('should scrub credentials from the payload and keep the key identifier', () => {
+  const envelope = buildErrorEnvelope({ recordId: 'record-1', data: withKey }, new Error('x'))
+  const tsv = Buffer.from(envelope.payload, 'base64').toString('utf-8')
+
+  assert.not.ok(tsv.includes('c-key-123'), 'The payload should not hold the raw key')
+  assert.is(tsv, [
+    '1759687169.596',
+    'session=1;%20api_key=REDACTED',
+    'page=2&cf_api_key=REDACTED',
+    'Host:example.com%0AX-Api-Key:REDACTED%0ACookie:session=1;%20api_key=REDACTED%0A'
+  ].join('\t') + '\n')
+  assert.is(envelope.field_count, 4)
+  assert.is(envelope.api_key, hashApiKey('c-key-123'))
+  assert.is(envelope.api_key_source, 'header:X-Api-Key')
+})
+
+test('should quarantine a payload without a key identifier when the key cannot be hashed', () => {
+  const secret = process.env.API_KEY_HASH_SECRET
+  process.env.API_KEY_HASH_SECRET = ''
+
+  try {
+    const envelope = buildErrorEnvelope({ recordId: 'record-1', data: withKey }, new Error('x'))
+
+    assert.not.ok(Buffer.from(envelope.payload, 'base64').toString('utf-8').includes('c-key-123'))
+    assert.is(envelope.api_key, null)
+    assert.is(envelope.api_key_source, 'header:X-Api-Key')
+  } finally {
+    process.env.API_KEY_HASH_SECRET = secret
+  }
+})
+
+test('should partition quarantine keys by the day records failed', () => {
+  assert.is(
+    getQuarantineKey('invocation-1', new Date('2025-10-05T18:00:00Z')),
+    `${QUARANTINE_PREFIX}year=2025/month=10/day=05/invocation-1.ndjson`
+  )
+})
+
+test('should read quarantine envelopes and Firehose error records', () => {
+  const envelope = buildErrorEnvelope({ recordId: 'record-1', data: withKey }, Object.assign(new Error('x'), { code: 'PARSE_ERROR' }))
+  const text = [
+    JSON.stringify(envelope),
+    '',
+    JSON.stringify({ errorCode: 'Lambda.ProcessingFailed', errorMessage: 'failed', rawData: withKey }),
+    JSON.stringify({ reason: 'FIELD_LAYOUT', record_id: 'record-2', payload })
+  ].join('\n')
+  const scrubbed = { payload: envelope.payload, apiKey: hashApiKey('c-key-123'), apiKeySource: 'header:X-Api-Key' }
+
+  // Firehose copies are scrubbed as they are read, so they match the envelope of the same record
+  assert.equal(readErrorObject(text), [
+    { ...scrubbed, reason: 'PARSE_ERROR', recordId: 'record-1' },
+    { ...scrubbed, reason: 'Lambda.ProcessingFailed', recordId: null },
+    { payload, apiKey: null, apiKeySource: null, reason: 'FIELD_LAYOUT', recordId: 'record-2' }
+  ])
+  assert.throws(() => readErrorObject('{"other":true}'), /neither payload nor rawData/)
+})
+
+// Run all tests
+test.run()
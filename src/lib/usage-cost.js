@@ -0,0 +1,167 @@
+/**
+ * Usage cost estimates
+ * Prices stored daily usage items the way the monthly invoice does: requests and GB sent with the
+ * monthly tiers of the pricing catalog, or of the customer's plan, over their billing period.
+ * Bandwidth per region and cache discounts are broken down at the catalog's per-GB rates, the rates
+ * the billing and cache_discount Athena queries apply
+ */
+
+const { getBillingTiers, getBillingPeriod, getBillingPeriodEndingIn } = require('./plans')
+const { calculateMonthlyCharges } = require('./monthly-charges')
+const { roundUsd } = require('./tiers')
+
+const BYTES_PER_GB = 1024 * 1024 * 1024
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/
+
+// Bandwidth of countries without their own price is reported under this region
+const DEFAULT_REGION = 'other'
+
+// Line item type and unit of each monthly metric
+const METRIC_LINES = {
+  requests: { type: 'requests', unit: 'request' },
+  gb_sent: { type: 'bandwidth', unit: 'GB' }
+}
+
+/**
+ * Read a JSON map of bytes per value stored on a usage item
+ */
+function readBytesMap(item, attribute) {
+  return item[attribute]?.S ? JSON.parse(item[attribute].S) : null
+}
+
+/**
+ * Add a quantity to the accumulated line item of a key
+ */
+function accumulate(lines, key, line, quantity) {
+  const existing = lines.get(key) || { ...line, quantity: 0 }
+  existing.quantity += quantity
+  lines.set(key, existing)
+}
+
+/**
+ * Resolve the billing period a cost request is priced in
+ * A month is the billing period ending in it, the period of that month's invoice. A day or from/to
+ * range is priced in the billing period containing it, from the start of the period through the end
+ * of the range, since tiers apply to the cumulative usage of the period
+ * @param {object} range - Day or month range from resolveUsageRange
+ * @param {number} [anchorDay] - The customer's billing anchor day
+ * @returns {object} - { error } or { start, end, pricedThrough, month }, month being the one the period ends in
+ */
+function resolveCostPeriod(range, anchorDay = 1) {
+  if (MONTH_PATTERN.test(range.datePrefix)) {
+    const period = getBillingPeriodEndingIn(anchorDay, range.datePrefix)
+    return { ...period, pricedThrough: period.end, month: range.datePrefix }
+  }
+
+  const period = getBillingPeriod(anchorDay, range.startDate)
+  const lastDay = new Date(range.end.getTime() - 1).toISOString().split('T')[0]
+
+  if (lastDay > period.end) {
+    return { error: `Costs are priced per billing period, the range ends after the period ${period.start} to ${period.end}` }
+  }
+
+  return { ...period, pricedThrough: lastDay, month: period.end.slice(0, 7) }
+}
+
+/**
+ * Break bandwidth down per viewer region and cache result type at the catalog's per-GB rates
+ * Bandwidth is priced per viewer region where the version has a region price, otherwise per
+ * country. Items rolled up before per-country bytes were stored put all bytes sent under the
+ * default region
+ */
+function calculateBreakdown(dailyItems, pricing) {
+  const lines = new Map()
+
+  for (const item of dailyItems) {
+    const countries = readBytesMap(item, 'billable_bytes_by_country') ||
+      { [DEFAULT_REGION]: parseInt(item.total_bytes_sent?.N || '0', 10) }
+
+    // Viewer regions with their own price (e.g. US-CA) are taken out of their country's bytes
+    const regionPrices = pricing.bandwidth.region_prices_per_gb || {}
+    for (const [region, bytes] of Object.entries(readBytesMap(item, 'billable_bytes_by_region') || {})) {
+      if (regionPrices[region] === undefined) continue
+
+      const country = region.split('-')[0]
+      countries[country] = (countries[country] || 0) - bytes
+
+      accumulate(lines, `bandwidth#${region}`, {
+        type: 'bandwidth',
+        region,
+        unit: 'GB',
+        unit_price_usd: regionPrices[region]
+      }, bytes / BYTES_PER_GB)
+    }
+
+    for (const [country, bytes] of Object.entries(countries)) {
+      const countryPrice = pricing.bandwidth.country_prices_per_gb[country]
+      const region = countryPrice === undefined ? DEFAULT_REGION : country
+
+      accumulate(lines, `bandwidth#${region}`, {
+        type: 'bandwidth',
+        region,
+        unit: 'GB',
+        unit_price_usd: countryPrice === undefined ? pricing.bandwidth.default_price_per_gb : countryPrice
+      }, bytes / BYTES_PER_GB)
+    }
+
+    // Result types priced below the standard cache rate are credited the difference
+    for (const [resultType, bytes] of Object.entries(readBytesMap(item, 'billable_bytes_by_result_type') || {})) {
+      const price = pricing.cache.result_type_prices_per_gb[resultType]
+      if (price === undefined || price >= pricing.cache.default_price_per_gb) continue
+
+      accumulate(lines, `cache_discount#${resultType}`, {
+        type: 'cache_discount',
+        result_type: resultType,
+        unit: 'GB',
+        unit_price_usd: roundUsd(price - pricing.cache.default_price_per_gb)
+      }, bytes / BYTES_PER_GB)
+    }
+  }
+
+  return [...lines.values()]
+    .map(line => ({
+      ...line,
+      // Bandwidth is priced per GB, keep enough precision for small usage
+      quantity: Math.round(line.quantity * 1e6) / 1e6,
+      amount_usd: roundUsd(line.quantity * line.unit_price_usd)
+    }))
+    .filter(line => line.quantity > 0)
+}
+
+/**
+ * Estimate the cost of a billing period of daily usage items
+ * Totals come from calculateMonthlyCharges with the same tiers as the invoice, one line item per
+ * metric tier; the breakdown is informational and not added to the total
+ * @param {object[]} dailyItems - Raw DynamoDB items from the daily usage metrics table
+ * @param {object} pricing - Pricing catalog version of the period, e.g. from getPricingForMonth
+ * @param {object} [monthlyTiers] - Tier definition per metric, defaults to the catalog tiers (see getBillingTiers)
+ * @returns {{usage: object, line_items: object[], breakdown: object[], subtotals_usd: object, total_usd: number, pricing_version: string}}
+ */
+function calculateUsageCost(dailyItems, pricing, monthlyTiers = getBillingTiers(pricing, null)) {
+  const monthly = calculateMonthlyCharges(dailyItems, monthlyTiers)
+
+  const lineItems = Object.entries(monthly.metrics).flatMap(([metric, charge]) =>
+    charge.line_items
+      .filter(line => line.quantity > 0)
+      .map(line => ({ ...METRIC_LINES[metric], metric, mode: charge.mode, ...line }))
+  )
+  const subtotals = Object.fromEntries(
+    Object.entries(monthly.metrics).map(([metric, charge]) => [metric, charge.amount_usd])
+  )
+
+  return {
+    usage: monthly.usage,
+    line_items: lineItems,
+    breakdown: calculateBreakdown(dailyItems, pricing),
+    subtotals_usd: subtotals,
+    total_usd: monthly.total_usd,
+    pricing_version: pricing.version
+  }
+}
+
+module.exports = {
+  DEFAULT_REGION,
+  resolveCostPeriod,
+  calculateUsageCost
+}
@@ -0,0 +1,155 @@
+/**
+ * Tests for usage-cost.js
+ * Using uvu test framework
+ */
+
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const { getBillingTiers } = require('./plans')
+const { calculateMonthlyCharges } = require('./monthly-charges')
+const { resolveUsageRange } = require('./usage-range')
+const { DEFAULT_REGION, resolveCostPeriod, calculateUsageCost } = require('./usage-cost')
+
+const GB = 1024 * 1024 * 1024
+
+const pricing = {
+  version: 'v1',
+  effective_from: '2024-01-01',
+  request_price_usd: 0.0001,
+  bandwidth: { default_price_per_gb: 0.12, country_prices_per_gb: { US: 0.085 } },
+  cache: { default_price_per_gb: 0.085, result_type_prices_per_gb: { Hit: 0.05, Miss: 0.085 } },
+  monthly_tiers: {
+    requests: {
+      mode: 'graduated',
+      tiers: [{ up_to: 100000, unit_price_usd: 0 }, { up_to: null, unit_price_usd: 0.0001 }]
+    },
+    gb_sent: { mode: 'volume', tiers: [{ up_to: null, unit_price_usd: 0.085 }] }
+  }
+}
+
+/**
+ * Daily usage item with billable bytes per country and cache result type
+ */
+function dailyItem(date, billableRequests, bytesByCountry, bytesByResultType) {
+  const bytesSent = Object.values(bytesByCountry).reduce((sum, bytes) => sum + bytes, 0)
+
+  return {
+    date: { S: `${date}T00:00:00Z` },
+    request_count: { N: String(billableRequests + 10) },
+    billable_requests: { N: String(billableRequests) },
+    total_bytes_sent: { N: String(bytesSent) },
+    billable_bytes_by_country: { S: JSON.stringify(bytesByCountry) },
+    billable_bytes_by_result_type: { S: JSON.stringify(bytesByResultType) }
+  }
+}
+
+test('should agree with the monthly charges for the same items', () => {
+  const items = [
+    dailyItem('2025-10-01', 30000, { US: 2 * GB }, {}),
+    dailyItem('2025-10-02', 20000, { US: 1 * GB }, {})
+  ]
+  const plan = { plan_id: 'starter', included: { requests: 10000 }, overage_prices: { requests: 0.0001 } }
+
+  for (const tiers of [pricing.monthly_tiers, getBillingTiers(pricing, plan)]) {
+    const monthly = calculateMonthlyCharges(items, tiers)
+    const cost = calculateUsageCost(items, pricing, tiers)
+
+    assert.is(cost.total_usd, monthly.total_usd)
+    assert.equal(cost.usage, monthly.usage)
+    assert.is(cost.subtotals_usd.requests, monthly.metrics.requests.amount_usd)
+  }
+
+  const catalogCost = calculateUsageCost(items, pricing)
+  assert.is(catalogCost.subtotals_usd.requests, 0, 'The first 100,000 requests are free')
+  assert.is(catalogCost.total_usd, 0.255)
+
+  const planCost = calculateUsageCost(items, pricing, getBillingTiers(pricing, plan))
+  assert.is(planCost.subtotals_usd.requests, 4, 'Requests past the included units are billed at the plan price')
+})
+
+test('should return one line item per metric tier', () => {
+  const cost = calculateUsageCost([dailyItem('2025-10-01', 150000, { US: 1 * GB }, {})], pricing)
+
+  assert.equal(cost.line_items.map(line => [line.type, line.tier, line.quantity, line.amount_usd]), [
+    ['requests', 1, 100000, 0],
+    ['requests', 2, 50000, 5],
+    ['bandwidth', 1, 1, 0.085]
+  ])
+  assert.is(cost.line_items[2].unit, 'GB')
+  assert.is(cost.pricing_version, 'v1')
+})
+
+test('should break bandwidth down per region and cache discounts without changing the total', () => {
+  const cost = calculateUsageCost([
+    dailyItem('2025-10-01', 1000, { US: 2 * GB, FR: 1 * GB }, { Hit: 2 * GB, Miss: 1 * GB }),
+    dailyItem('2025-10-02', 500, { US: 1 * GB, BR: 1 * GB }, {})
+  ], pricing)
+
+  const lines = Object.fromEntries(cost.breakdown.map(line => [line.region || line.result_type, line]))
+
+  assert.is(lines.US.quantity, 3)
+  assert.is(lines.US.amount_usd, 0.255)
+  assert.is(lines[DEFAULT_REGION].quantity, 2, 'Countries without a price share the default region')
+  assert.is(lines[DEFAULT_REGION].amount_usd, 0.24)
+  assert.is(lines.Hit.unit_price_usd, -0.035)
+  assert.is(lines.Hit.amount_usd, -0.07)
+  assert.is(lines.Miss, undefined, 'Result types at the standard rate get no discount')
+  assert.is(cost.total_usd, 0.425, 'Only the tiers are billed')
+})
+
+test('should break down regions with their own price apart from their country', () => {
+  const regionPricing = {
+    ...pricing,
+    bandwidth: { default_price_per_gb: 0.12, country_prices_per_gb: { US: 0.085 }, region_prices_per_gb: { 'US-AK': 0.1 } }
+  }
+  const item = {
+    ...dailyItem('2025-10-01', 0, { US: 3 * GB }, {}),
+    billable_bytes_by_region: { S: JSON.stringify({ 'US-AK': 1 * GB, 'US-CA': 2 * GB }) }
+  }
+
+  const lines = Object.fromEntries(calculateUsageCost([item], regionPricing).breakdown.map(line => [line.region, line]))
+
+  assert.is(lines['US-AK'].quantity, 1)
+  assert.is(lines['US-AK'].amount_usd, 0.1)
+  assert.is(lines.US.quantity, 2, 'Regions without their own price stay in the country')
+  assert.is(lines['US-CA'], undefined)
+})
+
+test('should break down items without a country breakdown at the default bandwidth price', () => {
+  const cost = calculateUsageCost([{
+    date: { S: '2025-10-01T00:00:00Z' },
+    request_count: { N: '0' },
+    total_bytes_sent: { N: String(GB) }
+  }], pricing)
+
+  assert.equal(cost.breakdown.map(line => [line.region, line.amount_usd]), [[DEFAULT_REGION, 0.12]])
+})
+
+test('should return no line items without usage', () => {
+  const cost = calculateUsageCost([], pricing)
+
+  assert.equal(cost.line_items, [])
+  assert.equal(cost.breakdown, [])
+  assert.is(cost.total_usd, 0)
+})
+
+test('should price a month as the billing period ending in it', () => {
+  const period = resolveCostPeriod(resolveUsageRange({ month: '2025-10' }), 15)
+
+  assert.equal(period, { start: '2025-09-15', end: '2025-10-14', pricedThrough: '2025-10-14', month: '2025-10' })
+})
+
+test('should price day ranges from the start of their billing period', () => {
+  const period = resolveCostPeriod(resolveUsageRange({ from: '2025-10-20', to: '2025-10-25' }), 15)
+
+  assert.equal(period, { start: '2025-10-15', end: '2025-11-14', pricedThrough: '2025-10-25', month: '2025-11' })
+})
+
+test('should reject ranges that span billing periods', () => {
+  const period = resolveCostPeriod(resolveUsageRange({ from: '2025-10-10', to: '2025-10-20' }), 15)
+
+  assert.match(period.error, 'priced per billing period')
+})
+
+// Run all tests
+test.run()
@@ -0,0 +1,138 @@
+/**
+ * Usage exports
+ * Flattens usage series into one row per API key and period with a fixed set of columns,
+ * written as CSV (with a header row) or NDJSON for spreadsheet and bulk imports
+ */
+
+const Papa = require('papaparse')
+const { LATENCY_METRICS, PERCENTILES } = require('./latency')
+
+const EXPORT_FORMATS = ['json', 'csv', 'ndjson']
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+}
+
+// Column order is part of the export contract, only ever append new columns
+const EXPORT_COLUMNS = [
+  'api_key',
+  'granularity',
+  'period',
+  'request_count',
+  'billable_requests',
+  'successful_requests',
+  'error_requests',
+  'status_2xx',
+  'status_3xx',
+  'status_4xx',
+  'status_5xx',
+  'bytes_sent',
+  'bytes_received',
+  'cache_hits',
+  'cache_misses',
+  'cache_hit_rate',
+  'avg_response_time_ms',
+  ...LATENCY_METRICS.flatMap(metric => PERCENTILES.map(percentile => `${metric}_p${percentile}_ms`)),
+  'provisional'
+]
+
+/**
+ * Pick the response format from the format parameter, falling back to the Accept header
+ * @param {string} [format] - json, csv or ndjson
+ * @param {object} [headers] - Request headers (any case)
+ * @returns {{format: string}|{error: string}}
+ */
+function resolveExportFormat(format, headers = {}) {
+  if (format) {
+    return EXPORT_FORMATS.includes(format)
+      ? { format }
+      : { error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` }
+  }
+
+  const accept = Object.entries(headers || {})
+    .find(([name]) => name.toLowerCase() === 'accept')?.[1] || ''
+
+  if (accept.includes(CONTENT_TYPES.csv)) {
+    return { format: 'csv' }
+  }
+  if (accept.includes(CONTENT_TYPES.ndjson)) {
+    return { format: 'ndjson' }
+  }
+
+  return { format: 'json' }
+}
+
+/**
+ * Flatten a usage series (see usage-summary buildUsageSeries) into export rows
+ * @returns {object[]} - One row per period with every EXPORT_COLUMNS key
+ */
+function buildExportRows(apiKey, granularity, series) {
+  return series.map(bucket => {
+    const row = {
+      api_key: apiKey,
+      granularity,
+      period: bucket.period,
+      request_count: bucket.requestCount,
+      billable_requests: bucket.billableRequests,
+      successful_requests: bucket.successfulRequests,
+      error_requests: bucket.errorRequests,
+      status_2xx: bucket.statusClasses['2xx'],
+      status_3xx: bucket.statusClasses['3xx'],
+      status_4xx: bucket.statusClasses['4xx'],
+      status_5xx: bucket.statusClasses['5xx'],
+      bytes_sent: bucket.totalBytesSent,
+      bytes_received: bucket.totalBytesReceived,
+      cache_hits: bucket.cacheHits,
+      cache_misses: bucket.cacheMisses,
+      cache_hit_rate: Number(bucket.cacheHitRate),
+      avg_response_time_ms: bucket.averageResponseTimeMs
+    }
+
+    for (const metric of LATENCY_METRICS) {
+      for (const percentile of PERCENTILES) {
+        row[`${metric}_p${percentile}_ms`] = bucket.latencyPercentilesMs[metric][`p${percentile}`]
+      }
+    }
+
+    // Periods counted from live counters, not rolled up yet
+    row.provisional = bucket.provisional
+
+    return row
+  })
+}
+
+/**
+ * Write export rows as CSV or NDJSON
+ * @param {object[]} rows - Rows from buildExportRows
+ * @param {string} format - csv or ndjson
+ * @param {{header?: boolean}} [options] - header: false leaves out the CSV header row, for appending
+ * @returns {string}
+ */
+function formatExportRows(rows, format, { header = true } = {}) {
+  if (format === 'csv') {
+    const data = rows.map(row => EXPORT_COLUMNS.map(column => row[column] ?? ''))
+    const csv = Papa.unparse({ fields: EXPORT_COLUMNS, data }, { header })
+    // Terminate the last row so exports of several keys can be concatenated
+    return csv && !csv.endsWith('\r\n') ? `${csv}\r\n` : csv
+  }
+
+  if (format === 'ndjson') {
+    return rows
+      .map(row => JSON.stringify(Object.fromEntries(EXPORT_COLUMNS.map(column => [column, row[column] ?? null]))))
+      .map(line => `${line}\n`)
+      .join('')
+  }
+
+  throw new Error(`Unsupported export format: ${format}`)
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  CONTENT_TYPES,
+  resolveExportFormat,
+  buildExportRows,
+  formatExportRows
+}
@@ -0,0 +1,75 @@
+/**
+ * Tests for usage-export.js
+ * Using uvu test framework
+ */
+
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const {
+  EXPORT_COLUMNS,
+  resolveExportFormat,
+  buildExportRows,
+  formatExportRows
+} = require('./usage-export')
+const { buildUsageSeries } = require('./usage-summary')
+const { resolveUsageRange } = require('./usage-range')
+
+/**
+ * Daily usage series of the first three days of October 2025
+ */
+function daySeries() {
+  const range = resolveUsageRange({ from: '2025-10-01', to: '2025-10-03' })
+  const items = [
+    { date: { S: '2025-10-01T00:00:00Z' }, request_count: { N: '10' }, total_bytes_sent: { N: '100' } },
+    { date: { S: '2025-10-03T00:00:00Z' }, request_count: { N: '5' }, total_bytes_sent: { N: '50' } }
+  ]
+
+  return buildUsageSeries(items, 'day', range)
+}
+
+test('should pick the format from the parameter before the Accept header', () => {
+  assert.equal(resolveExportFormat('ndjson', { Accept: 'text/csv' }), { format: 'ndjson' })
+  assert.equal(resolveExportFormat(undefined, { accept: 'text/csv; charset=utf-8' }), { format: 'csv' })
+  assert.equal(resolveExportFormat(undefined, { Accept: 'application/x-ndjson' }), { format: 'ndjson' })
+  assert.equal(resolveExportFormat(undefined, { Accept: '*/*' }), { format: 'json' })
+  assert.equal(resolveExportFormat(), { format: 'json' })
+  assert.ok(resolveExportFormat('xlsx').error)
+})
+
+test('should build one row per period with every column', () => {
+  const rows = buildExportRows('key-1', 'day', daySeries())
+
+  assert.equal(rows.map(row => [row.period, row.request_count, row.bytes_sent]), [
+    ['2025-10-01', 10, 100],
+    ['2025-10-02', 0, 0],
+    ['2025-10-03', 5, 50]
+  ])
+  assert.equal(Object.keys(rows[0]), EXPORT_COLUMNS)
+})
+
+test('should write CSV with a stable header row', () => {
+  const lines = formatExportRows(buildExportRows('key-1', 'day', daySeries()), 'csv').split('\r\n')
+
+  assert.is(lines[0], EXPORT_COLUMNS.join(','))
+  assert.ok(lines[1].startsWith('key-1,day,2025-10-01,10,'))
+  assert.is(lines.length, 5, 'Header, three rows and a trailing line break')
+})
+
+test('should leave out the CSV header when appending', () => {
+  const csv = formatExportRows(buildExportRows('key-2', 'day', daySeries()), 'csv', { header: false })
+
+  assert.ok(csv.startsWith('key-2,day,2025-10-01,'))
+  assert.is(formatExportRows([], 'csv', { header: false }), '')
+  assert.is(formatExportRows([], 'csv'), `${EXPORT_COLUMNS.join(',')}\r\n`)
+})
+
+test('should write one JSON object per line for NDJSON', () => {
+  const lines = formatExportRows(buildExportRows('key-1', 'day', daySeries()), 'ndjson').trim().split('\n')
+  const row = JSON.parse(lines[2])
+
+  assert.is(lines.length, 3)
+  assert.is(row.period, '2025-10-03')
+  assert.is(row.time_taken_p99_ms, null, 'Periods without latencies have no percentiles')
+})
+
+test.run()
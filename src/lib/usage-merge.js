@@ -0,0 +1,109 @@
+/**
+ * Merging rollup rows of one API key
+ * Partitions delivered before keys were hashed hold raw keys, so a day can have one row under the
+ * raw key and one under its identifier. Both are combined into the item stored under the identifier
+ */
+
+const { mergeSketches } = require('./latency')
+
+// Usage metrics that are plain counts
+const USAGE_COUNTERS = [
+  'request_count',
+  'total_bytes_sent',
+  'total_bytes_received',
+  'successful_requests',
+  'error_requests',
+  'status_2xx',
+  'status_3xx',
+  'status_4xx',
+  'status_5xx',
+  'billable_requests',
+  'cache_hits',
+  'cache_misses'
+]
+
+// Usage metrics holding a count per country, region or cache result type
+const USAGE_MAPS = [
+  'billable_bytes_by_country',
+  'billable_bytes_by_result_type',
+  'billable_bytes_by_region',
+  'requests_by_region'
+]
+
+/**
+ * Add up the counts of two maps
+ */
+function sumMaps(a = {}, b = {}) {
+  const sums = { ...a }
+
+  for (const [key, value] of Object.entries(b)) {
+    sums[key] = (sums[key] || 0) + value
+  }
+
+  return sums
+}
+
+/**
+ * Average of two averages weighted by the count each was taken over
+ */
+function weightedAverage(a, aCount, b, bCount) {
+  const count = aCount + bCount
+  return count > 0 ? (a * aCount + b * bCount) / count : 0
+}
+
+/**
+ * Merge the usage metrics of two rows of the same key and period
+ * countries_served is a distinct count the rows may share countries of, the larger one is kept
+ */
+function mergeUsageMetrics(a, b) {
+  const merged = {}
+
+  for (const field of USAGE_COUNTERS) {
+    merged[field] = a[field] + b[field]
+  }
+
+  for (const field of USAGE_MAPS) {
+    merged[field] = sumMaps(a[field], b[field])
+  }
+
+  const avgResponseTime = weightedAverage(a.avg_response_time_ms, a.request_count, b.avg_response_time_ms, b.request_count)
+  merged.avg_response_time_ms = Math.round(avgResponseTime * 1000) / 1000
+  merged.countries_served = Math.max(a.countries_served, b.countries_served)
+
+  merged.latency_sketches = {}
+  for (const metric of new Set([...Object.keys(a.latency_sketches), ...Object.keys(b.latency_sketches)])) {
+    merged.latency_sketches[metric] = mergeSketches([a.latency_sketches[metric], b.latency_sketches[metric]])
+  }
+
+  return merged
+}
+
+/**
+ * Merge the charges of two rows of the same key and day
+ * cache_hit_rate is a share of requests, every other field is summed to the 4 decimals Athena rounds to
+ */
+function mergeCharges(a, b) {
+  const merged = {}
+
+  for (const [field, value] of Object.entries(sumMaps(a, b))) {
+    merged[field] = Math.round(value * 10000) / 10000
+  }
+
+  if ('cache_hit_rate' in merged) {
+    const cacheHitRate = weightedAverage(
+      a.cache_hit_rate || 0, a.total_requests || 0,
+      b.cache_hit_rate || 0, b.total_requests || 0
+    )
+    merged.cache_hit_rate = Math.round(cacheHitRate * 100) / 100
+  }
+
+  return merged
+}
+
+module.exports = {
+  USAGE_COUNTERS,
+  USAGE_MAPS,
+  mergeUsageMetrics,
+  mergeCharges,
+  sumMaps
+}
@@ -0,0 +1,119 @@
+/**
+ * Tests for usage-merge.js
+ * Using uvu test framework
+ */
+
+process.env.API_KEY_HASH_SECRET = 'test-secret-of-at-least-32-characters'
+
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const { hashApiKey, createKeyIdResolver } = require('./api-keys')
+const { mergeUsageMetrics, mergeCharges } = require('./usage-merge')
+
+const RAW_KEY = 'pfCCh7ygOr8Gwv8BoGWHG3NO54Csd4aZ6tz1wHBx'
+
+/**
+ * Build the metrics of one daily_usage row
+ */
+function usageMetrics(overrides) {
+  return {
+    request_count: 0,
+    total_bytes_sent: 0,
+    total_bytes_received: 0,
+    avg_response_time_ms: 0,
+    successful_requests: 0,
+    error_requests: 0,
+    status_2xx: 0,
+    status_3xx: 0,
+    status_4xx: 0,
+    status_5xx: 0,
+    billable_requests: 0,
+    cache_hits: 0,
+    cache_misses: 0,
+    countries_served: 0,
+    billable_bytes_by_country: {},
+    billable_bytes_by_result_type: {},
+    billable_bytes_by_region: {},
+    requests_by_region: {},
+    latency_sketches: {},
+    ...overrides
+  }
+}
+
+test('should sum the usage of a key present both raw and hashed', () => {
+  const resolveKeyId = createKeyIdResolver()
+  const period = '2025-09-01T00:00:00Z'
+
+  // Rows of the day the transform started hashing keys, one before and one after
+  const rows = [
+    { apiKey: RAW_KEY, metrics: usageMetrics({
+      request_count: 10,
+      total_bytes_sent: 1000,
+      avg_response_time_ms: 20,
+      successful_requests: 9,
+      error_requests: 1,
+      status_2xx: 9,
+      status_4xx: 1,
+      billable_requests: 9,
+      cache_hits: 4,
+      cache_misses: 6,
+      countries_served: 2,
+      billable_bytes_by_country: { US: 600, DE: 400 },
+      requests_by_region: { 'north-america': 6, europe: 4 },
+      latency_sketches: { time_taken: { 150: 10 } }
+    }) },
+    { apiKey: hashApiKey(RAW_KEY), metrics: usageMetrics({
+      request_count: 30,
+      total_bytes_sent: 3000,
+      avg_response_time_ms: 40,
+      successful_requests: 30,
+      status_2xx: 30,
+      billable_requests: 30,
+      cache_hits: 20,
+      cache_misses: 10,
+      countries_served: 1,
+      billable_bytes_by_country: { US: 3000 },
+      requests_by_region: { 'north-america': 30 },
+      latency_sketches: { time_taken: { 150: 5, 180: 25 }, origin_fbl: { 100: 10 } }
+    }) }
+  ]
+
+  const items = new Map()
+  for (const { apiKey, metrics } of rows) {
+    const { keyId, repeat } = resolveKeyId(apiKey, [period])
+    items.set(keyId, repeat ? mergeUsageMetrics(items.get(keyId), metrics) : metrics)
+  }
+
+  assert.equal([...items.keys()], [hashApiKey(RAW_KEY)])
+  assert.equal(items.get(hashApiKey(RAW_KEY)), usageMetrics({
+    request_count: 40,
+    total_bytes_sent: 4000,
+    avg_response_time_ms: 35,
+    successful_requests: 39,
+    error_requests: 1,
+    status_2xx: 39,
+    status_4xx: 1,
+    billable_requests: 39,
+    cache_hits: 24,
+    cache_misses: 16,
+    countries_served: 2,
+    billable_bytes_by_country: { US: 3600, DE: 400 },
+    requests_by_region: { 'north-america': 36, europe: 4 },
+    latency_sketches: { time_taken: { 150: 15, 180: 25 }, origin_fbl: { 100: 10 } }
+  }))
+})
+
+test('should sum charges and weight the cache hit rate by requests', () => {
+  const merged = mergeCharges(
+    { total_requests: 10, total_gb: 0.5, total_cost_usd: 0.0425, cache_hit_rate: 40 },
+    { total_requests: 30, total_gb: 1.5, total_cost_usd: 0.1275, cache_hit_rate: 80 }
+  )
+
+  assert.is(merged.total_requests, 40)
+  assert.is(merged.total_gb, 2)
+  assert.is(merged.total_cost_usd, 0.17)
+  assert.is(merged.cache_hit_rate, 70)
+})
+
+// Run all tests
+test.run()
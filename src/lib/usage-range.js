@@ -0,0 +1,144 @@
+/**
+ * Usage query ranges
+ * Resolves the date parameters of /usage (a `date`/`month` prefix or a `from`/`to` range) into
+ * a time range and the inclusive sort key bounds of a DynamoDB BETWEEN key condition
+ */
+
+const { assertDate } = require('./validation')
+
+const PREFIX_PATTERN = /^(\d{4}-\d{2})(?:-(\d{2}))?(?:T(\d{2}))?$/
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const HOUR_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}$/
+
+// Bounds keep zero-filled series and item counts reasonable
+const MAX_RANGE_DAYS = 366
+const MAX_RANGE_HOURS = 31 * 24
+
+const MS_PER_HOUR = 60 * 60 * 1000
+
+/**
+ * Parse a YYYY-MM-DD or YYYY-MM-DDTHH value into the start of that day or hour (UTC)
+ * @returns {Date|null} - null when the value is not a real date or hour
+ */
+function parseDayOrHour(value) {
+  const [day, hour = '00'] = value.split('T')
+
+  try {
+    assertDate(day)
+  } catch (error) {
+    return null
+  }
+
+  return Number(hour) < 24 ? new Date(`${day}T${hour}:00:00Z`) : null
+}
+
+/**
+ * Format a date as a usage item sort key, e.g. 2025-10-05T14:00:00Z
+ */
+function toSortKey(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z')
+}
+
+/**
+ * Build a range from its start and exclusive end
+ */
+function buildRange(start, end, hourly, label) {
+  return {
+    ...label,
+    hourly,
+    start,
+    end,
+    startDate: start.toISOString().split('T')[0],
+    startKey: toSortKey(start),
+    // Last second of the range, BETWEEN bounds are inclusive
+    endKey: toSortKey(new Date(end.getTime() - 1000))
+  }
+}
+
+/**
+ * Resolve a month/day/hour prefix (YYYY-MM, YYYY-MM-DD or YYYY-MM-DDTHH)
+ */
+function resolvePrefix(datePrefix) {
+  const [, month, day, hour] = datePrefix.match(PREFIX_PATTERN) || []
+  const start = month && parseDayOrHour(`${month}-${day || '01'}${hour ? `T${hour}` : ''}`)
+
+  if (!start) {
+    return { error: `Invalid date: ${datePrefix} (format: YYYY-MM, YYYY-MM-DD, or YYYY-MM-DDTHH)` }
+  }
+
+  const end = new Date(start)
+  if (hour) {
+    end.setUTCHours(end.getUTCHours() + 1)
+  } else if (day) {
+    end.setUTCDate(end.getUTCDate() + 1)
+  } else {
+    end.setUTCMonth(end.getUTCMonth() + 1)
+  }
+
+  return buildRange(start, end, Boolean(hour), { datePrefix })
+}
+
+/**
+ * Resolve an inclusive from/to range of days (YYYY-MM-DD) or hours (YYYY-MM-DDTHH)
+ */
+function resolveFromTo(from, to) {
+  const hourly = HOUR_PATTERN.test(from) && HOUR_PATTERN.test(to)
+
+  if (!hourly && !(DAY_PATTERN.test(from) && DAY_PATTERN.test(to))) {
+    return { error: 'from and to must both be days (YYYY-MM-DD) or both be hours (YYYY-MM-DDTHH)' }
+  }
+
+  const start = parseDayOrHour(from)
+  const last = parseDayOrHour(to)
+
+  if (!start || !last) {
+    return { error: `Invalid range: ${from} to ${to} is not a calendar date range` }
+  }
+  if (start > last) {
+    return { error: `Invalid range: from ${from} is after to ${to}` }
+  }
+
+  const end = new Date(last.getTime() + (hourly ? MS_PER_HOUR : 24 * MS_PER_HOUR))
+  const hours = (end - start) / MS_PER_HOUR
+
+  if (hourly && hours > MAX_RANGE_HOURS) {
+    return { error: `Hourly ranges are limited to ${MAX_RANGE_HOURS} hours` }
+  }
+  if (!hourly && hours / 24 > MAX_RANGE_DAYS) {
+    return { error: `Ranges are limited to ${MAX_RANGE_DAYS} days` }
+  }
+
+  return buildRange(start, end, hourly, { from, to })
+}
+
+/**
+ * Resolve the date parameters of a /usage request
+ * @param {{date?: string, month?: string, from?: string, to?: string}} params
+ * @returns {object} - { error } or { hourly, start, end, startDate, startKey, endKey, datePrefix | from, to }
+ */
+function resolveUsageRange({ date, month, from, to } = {}) {
+  const datePrefix = date || month
+
+  if (from || to) {
+    if (datePrefix) {
+      return { error: 'Use either date/month or from/to, not both' }
+    }
+    if (!from || !to) {
+      return { error: 'from and to must be given together' }
+    }
+    return resolveFromTo(from, to)
+  }
+
+  if (!datePrefix) {
+    return { error: 'date, month or from/to parameters are required (format: YYYY-MM, YYYY-MM-DD, or YYYY-MM-DDTHH)' }
+  }
+
+  return resolvePrefix(datePrefix)
+}
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  MAX_RANGE_HOURS,
+  toSortKey,
+  resolveUsageRange
+}
@@ -0,0 +1,63 @@
+/**
+ * Tests for usage-range.js
+ * Using uvu test framework
+ */
+
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const { MAX_RANGE_DAYS, resolveUsageRange } = require('./usage-range')
+
+test('should resolve a month prefix into inclusive sort key bounds', () => {
+  const range = resolveUsageRange({ month: '2025-10' })
+
+  assert.is(range.datePrefix, '2025-10')
+  assert.is(range.hourly, false)
+  assert.is(range.startDate, '2025-10-01')
+  assert.is(range.startKey, '2025-10-01T00:00:00Z')
+  assert.is(range.endKey, '2025-10-31T23:59:59Z')
+})
+
+test('should resolve an hour prefix as hourly', () => {
+  const range = resolveUsageRange({ date: '2025-10-05T14' })
+
+  assert.is(range.hourly, true)
+  assert.is(range.startKey, '2025-10-05T14:00:00Z')
+  assert.is(range.endKey, '2025-10-05T14:59:59Z')
+})
+
+test('should resolve a from/to range of days across months', () => {
+  const range = resolveUsageRange({ from: '2025-01-15', to: '2025-02-14' })
+
+  assert.is(range.from, '2025-01-15')
+  assert.is(range.to, '2025-02-14')
+  assert.is(range.startKey, '2025-01-15T00:00:00Z')
+  assert.is(range.endKey, '2025-02-14T23:59:59Z')
+  assert.is((range.end - range.start) / 86400000, 31)
+})
+
+test('should resolve a from/to range of hours', () => {
+  const range = resolveUsageRange({ from: '2025-10-05T22', to: '2025-10-06T01' })
+
+  assert.is(range.hourly, true)
+  assert.is(range.endKey, '2025-10-06T01:59:59Z')
+})
+
+test('should reject invalid ranges', () => {
+  assert.ok(resolveUsageRange({}).error)
+  assert.ok(resolveUsageRange({ month: '2025' }).error)
+  assert.ok(resolveUsageRange({ month: '2025-13' }).error)
+  assert.ok(resolveUsageRange({ from: '2025-10-01' }).error, 'to is missing')
+  assert.ok(resolveUsageRange({ month: '2025-10', from: '2025-10-01', to: '2025-10-02' }).error)
+  assert.ok(resolveUsageRange({ from: '2025-10-01', to: '2025-10-02T05' }).error, 'Mixed formats')
+  assert.ok(resolveUsageRange({ from: '2025-02-30', to: '2025-03-02' }).error, 'Not a calendar date')
+  assert.ok(resolveUsageRange({ from: '2025-10-05T24', to: '2025-10-05T25' }).error)
+  assert.match(resolveUsageRange({ from: '2025-10-02', to: '2025-10-01' }).error, /after/)
+})
+
+test('should limit the length of ranges', () => {
+  assert.ok(resolveUsageRange({ from: '2024-01-01', to: '2024-12-31' }).startKey, `${MAX_RANGE_DAYS} days are allowed`)
+  assert.match(resolveUsageRange({ from: '2024-01-01', to: '2025-01-01' }).error, /limited/)
+  assert.match(resolveUsageRange({ from: '2025-10-01T00', to: '2025-11-01T00' }).error, /limited/)
+})
+
+test.run()
@@ -0,0 +1,186 @@
+/**
+ * Usage summaries
+ * Sums DynamoDB usage metrics items into the totals returned by /usage and groups them into
+ * zero-filled time-series buckets (hour, day or month) or viewer regions
+ */
+
+const { LATENCY_METRICS, parseSketch, mergeSketches, summarizeLatency } = require('./latency')
+
+const GRANULARITIES = ['hour', 'day', 'month']
+
+// Length of the bucket key taken from an item's ISO date, e.g. '2025-10-05' for day
+const BUCKET_KEY_LENGTH = { hour: 13, day: 10, month: 7 }
+
+/**
+ * Read a numeric attribute of a DynamoDB item
+ */
+function readNumber(item, attribute) {
+  return parseInt(item[attribute]?.N || '0', 10)
+}
+
+/**
+ * Sum usage metrics items into the /usage metrics
+ * @param {object[]} items - Raw DynamoDB items from a usage metrics table
+ * @returns {object} - requestCount, totalBytesSent, ..., latencyPercentilesMs, records
+ */
+function summarizeUsageItems(items) {
+  const totals = {
+    request_count: 0,
+    total_bytes_sent: 0,
+    total_bytes_received: 0,
+    successful_requests: 0,
+    error_requests: 0,
+    status_2xx: 0,
+    status_3xx: 0,
+    status_4xx: 0,
+    status_5xx: 0,
+    billable_requests: 0,
+    cache_hits: 0,
+    cache_misses: 0,
+    total_response_time: 0,
+    timed_requests: 0
+  }
+
+  for (const item of items) {
+    for (const attribute of Object.keys(totals)) {
+      if (!['billable_requests', 'total_response_time', 'timed_requests'].includes(attribute)) {
+        totals[attribute] += readNumber(item, attribute)
+      }
+    }
+
+    // Items rolled up before billable_requests existed billed every request
+    totals.billable_requests += readNumber(item, item.billable_requests ? 'billable_requests' : 'request_count')
+
+    // Provisional live counters have no response times, they are left out of the average
+    if (item.avg_response_time_ms) {
+      totals.total_response_time += parseFloat(item.avg_response_time_ms.N) * readNumber(item, 'request_count')
+      totals.timed_requests += readNumber(item, 'request_count')
+    }
+  }
+
+  // Percentiles of the whole range come from the merged per-period sketches, never from averaging percentiles
+  const itemSketches = items.map(item => JSON.parse(item.latency_sketches?.S || '{}'))
+  const latencySketches = Object.fromEntries(
+    LATENCY_METRICS.map(metric => [metric, mergeSketches(itemSketches.map(sketches => parseSketch(sketches[metric])))])
+  )
+
+  return {
+    requestCount: totals.request_count,
+    totalBytesSent: totals.total_bytes_sent,
+    totalBytesReceived: totals.total_bytes_received,
+    successfulRequests: totals.successful_requests,
+    errorRequests: totals.error_requests,
+    statusClasses: {
+      '2xx': totals.status_2xx,
+      '3xx': totals.status_3xx,
+      '4xx': totals.status_4xx,
+      '5xx': totals.status_5xx,
+    },
+    billableRequests: totals.billable_requests,
+    cacheHits: totals.cache_hits,
+    cacheMisses: totals.cache_misses,
+    averageResponseTimeMs: totals.timed_requests > 0 ? totals.total_response_time / totals.timed_requests : 0,
+    latencyPercentilesMs: summarizeLatency(latencySketches),
+    cacheHitRate: (totals.cache_hits + totals.cache_misses) > 0
+      ? (totals.cache_hits / (totals.cache_hits + totals.cache_misses) * 100).toFixed(2)
+      : 0,
+    records: items.length,
+  }
+}
+
+/**
+ * List the bucket keys of a granularity covering [start, end)
+ * @param {Date} start - Inclusive start (UTC)
+ * @param {Date} end - Exclusive end (UTC)
+ * @returns {string[]} - Keys such as '2025-10-05T14', '2025-10-05' or '2025-10'
+ */
+function listBuckets(granularity, start, end) {
+  const keys = []
+  const cursor = new Date(start)
+
+  while (cursor < end) {
+    keys.push(cursor.toISOString().slice(0, BUCKET_KEY_LENGTH[granularity]))
+
+    if (granularity === 'hour') {
+      cursor.setUTCHours(cursor.getUTCHours() + 1)
+    } else if (granularity === 'day') {
+      cursor.setUTCDate(cursor.getUTCDate() + 1)
+    } else {
+      cursor.setUTCMonth(cursor.getUTCMonth() + 1, 1)
+    }
+  }
+
+  return keys
+}
+
+/**
+ * Group usage items into an ordered series of buckets, zero-filling buckets without items
+ * @param {object[]} items - Raw DynamoDB items, each with an ISO `date`
+ * @param {string} granularity - hour, day or month
+ * @param {{start: Date, end: Date}} range - Period the series covers
+ * @returns {object[]} - [{ period, ...metrics }] in time order
+ */
+function buildUsageSeries(items, granularity, range) {
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new Error(`Invalid granularity: ${granularity} (expected one of ${GRANULARITIES.join(', ')})`)
+  }
+
+  const itemsByBucket = new Map()
+  for (const item of items) {
+    const key = item.date.S.slice(0, BUCKET_KEY_LENGTH[granularity])
+    itemsByBucket.set(key, [...(itemsByBucket.get(key) || []), item])
+  }
+
+  return listBuckets(granularity, range.start, range.end).map(period => {
+    const bucketItems = itemsByBucket.get(period) || []
+
+    return {
+      period,
+      ...summarizeUsageItems(bucketItems),
+      // Buckets holding live counters change once their rollup runs
+      provisional: bucketItems.some(item => item.provisional?.BOOL === true)
+    }
+  })
+}
+
+/**
+ * Sum the per-region maps of usage items, for /usage?groupBy=region
+ * Traffic without a viewer region (items rolled up before regions were stored, live counters) is
+ * reported under region null
+ * @param {object[]} items - Raw DynamoDB items from the usage metrics or live usage tables
+ * @returns {Array<{region: string|null, requestCount: number, billableBytesSent: number}>} - Busiest first
+ */
+function summarizeRegions(items) {
+  const regions = new Map()
+  const totals = (key) => {
+    const region = key === '-' ? null : key
+    if (!regions.has(region)) {
+      regions.set(region, { region, requestCount: 0, billableBytesSent: 0 })
+    }
+    return regions.get(region)
+  }
+
+  for (const item of items) {
+    const requests = item.requests_by_region?.S
+      ? JSON.parse(item.requests_by_region.S)
+      : { '-': readNumber(item, 'request_count') }
+    const bytes = item.billable_bytes_by_region?.S ? JSON.parse(item.billable_bytes_by_region.S) : {}
+
+    for (const [region, count] of Object.entries(requests)) {
+      totals(region).requestCount += Number(count)
+    }
+    for (const [region, sent] of Object.entries(bytes)) {
+      totals(region).billableBytesSent += Number(sent)
+    }
+  }
+
+  return [...regions.values()].sort((a, b) => b.requestCount - a.requestCount)
+}
+
+module.exports = {
+  GRANULARITIES,
+  summarizeUsageItems,
+  summarizeRegions,
+  listBuckets,
+  buildUsageSeries
+}
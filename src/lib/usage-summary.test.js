@@ -0,0 +1,111 @@
+/**
+ * Tests for usage-summary.js
+ * Using uvu test framework
+ */
+
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const {
+  summarizeUsageItems,
+  summarizeRegions,
+  listBuckets,
+  buildUsageSeries
+} = require('./usage-summary')
+const { resolveUsageRange } = require('./usage-range')
+
+/**
+ * Time range covered by a date prefix
+ */
+function prefixRange(datePrefix) {
+  const { start, end } = resolveUsageRange({ date: datePrefix })
+  return { start, end }
+}
+
+/**
+ * Usage metrics item as stored by the rollup
+ */
+function usageItem(date, requestCount, bytesSent = 0) {
+  return {
+    date: { S: date },
+    request_count: { N: String(requestCount) },
+    total_bytes_sent: { N: String(bytesSent) },
+  }
+}
+
+test('should sum items into totals', () => {
+  const summary = summarizeUsageItems([
+    usageItem('2025-10-01T00:00:00Z', 10, 100),
+    usageItem('2025-10-03T00:00:00Z', 5, 50)
+  ])
+
+  assert.is(summary.requestCount, 15)
+  assert.is(summary.totalBytesSent, 150)
+  assert.is(summary.billableRequests, 15, 'Items without billable_requests bill every request')
+  assert.is(summary.records, 2)
+})
+
+test('should cover a prefix with buckets', () => {
+  assert.is(listBuckets('day', ...Object.values(prefixRange('2024-02'))).length, 29)
+  assert.is(listBuckets('hour', ...Object.values(prefixRange('2025-10-05'))).length, 24)
+  assert.equal(listBuckets('month', ...Object.values(prefixRange('2025-10'))), ['2025-10'])
+  assert.equal(listBuckets('hour', ...Object.values(prefixRange('2025-10-05T14'))), ['2025-10-05T14'])
+})
+
+test('should zero-fill days without usage', () => {
+  const series = buildUsageSeries(
+    [usageItem('2025-10-01T00:00:00Z', 10), usageItem('2025-10-03T00:00:00Z', 5)],
+    'day',
+    prefixRange('2025-10')
+  )
+
+  assert.is(series.length, 31)
+  assert.equal(series.slice(0, 3).map(bucket => [bucket.period, bucket.requestCount]), [
+    ['2025-10-01', 10],
+    ['2025-10-02', 0],
+    ['2025-10-03', 5]
+  ])
+})
+
+test('should group hourly items into hour buckets', () => {
+  const series = buildUsageSeries(
+    [usageItem('2025-10-05T14:00:00Z', 3), usageItem('2025-10-05T16:00:00Z', 4)],
+    'hour',
+    prefixRange('2025-10-05')
+  )
+
+  assert.equal(series.slice(14, 17).map(bucket => bucket.requestCount), [3, 0, 4])
+})
+
+test('should flag buckets holding live counters as provisional', () => {
+  const live = { ...usageItem('2025-10-05T16:00:00Z', 4), provisional: { BOOL: true } }
+  const timed = { ...usageItem('2025-10-05T14:00:00Z', 3), avg_response_time_ms: { N: '20' } }
+
+  const series = buildUsageSeries([timed, live], 'hour', prefixRange('2025-10-05'))
+
+  assert.equal(series.slice(14, 17).map(bucket => bucket.provisional), [false, false, true])
+  assert.is(summarizeUsageItems([timed, live]).averageResponseTimeMs, 20, 'Live counters have no response times')
+})
+
+test('should sum requests and billable bytes per region', () => {
+  const regions = summarizeRegions([
+    {
+      request_count: { N: '6' },
+      requests_by_region: { S: JSON.stringify({ 'US-CA': 4, '-': 2 }) },
+      billable_bytes_by_region: { S: JSON.stringify({ 'US-CA': 400, '-': 0 }) }
+    },
+    {
+      request_count: { N: '5' },
+      requests_by_region: { S: JSON.stringify({ 'US-CA': 1, 'DE-BE': 4 }) },
+      billable_bytes_by_region: { S: JSON.stringify({ 'US-CA': 100, 'DE-BE': 300 }) }
+    },
+    { request_count: { N: '3' } }
+  ])
+
+  assert.equal(regions, [
+    { region: 'US-CA', requestCount: 5, billableBytesSent: 500 },
+    { region: null, requestCount: 5, billableBytesSent: 0 },
+    { region: 'DE-BE', requestCount: 4, billableBytesSent: 300 }
+  ])
+})
+
+test.run()
@@ -0,0 +1,81 @@
+/**
+ * Input validation for values that end up in Athena queries
+ * Values are validated here and then passed as ExecutionParameters, never interpolated into SQL
+ */
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/
+const IDENTIFIER_PATTERN = /^[A-Za-z0-9_.-]{1,128}$/
+const PATH_PATTERN = /^\/[A-Za-z0-9_.~\-/{}]{0,1023}$/
+
+/**
+ * Assert a value is a real calendar date in YYYY-MM-DD format
+ * @returns {string} - The validated date
+ */
+function assertDate(value, name = 'date') {
+  const match = typeof value === 'string' && value.match(DATE_PATTERN)
+
+  if (!match) {
+    throw new Error(`Invalid ${name}: ${JSON.stringify(value)} (expected YYYY-MM-DD)`)
+  }
+
+  // Reject dates like 2025-02-30 that Date would silently roll over
+  const parsed = new Date(`${value}T00:00:00Z`)
+  if (isNaN(parsed) || parsed.toISOString().split('T')[0] !== value) {
+    throw new Error(`Invalid ${name}: ${value} is not a calendar date`)
+  }
+
+  return value
+}
+
+/**
+ * Assert a value is a month in YYYY-MM format
+ * @returns {string} - The validated month
+ */
+function assertMonth(value, name = 'month') {
+  if (typeof value !== 'string' || !MONTH_PATTERN.test(value)) {
+    throw new Error(`Invalid ${name}: ${JSON.stringify(value)} (expected YYYY-MM)`)
+  }
+
+  return value
+}
+
+/**
+ * Assert a value is a plain identifier (letters, digits, '_', '-', '.'), e.g. an API key
+ * @returns {string} - The validated identifier
+ */
+function assertIdentifier(value, name = 'identifier') {
+  if (typeof value !== 'string' || !IDENTIFIER_PATTERN.test(value)) {
+    throw new Error(`Invalid ${name}: ${JSON.stringify(value)} (expected letters, digits, '_', '-' or '.')`)
+  }
+
+  return value
+}
+
+/**
+ * Assert a value is a URI path such as /example or /items/{id}
+ * @returns {string} - The validated path
+ */
+function assertPath(value, name = 'path') {
+  if (typeof value !== 'string' || !PATH_PATTERN.test(value)) {
+    throw new Error(`Invalid ${name}: ${JSON.stringify(value)} (expected a path starting with '/')`)
+  }
+
+  return value
+}
+
+/**
+ * Quote a string as an Athena ExecutionParameters literal
+ * Athena substitutes parameters verbatim, so string values must carry their own quotes
+ */
+function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`
+}
+
+module.exports = {
+  assertDate,
+  assertMonth,
+  assertIdentifier,
+  assertPath,
+  sqlString
+}
@@ -0,0 +1,49 @@
+/**
+ * Tests for validation.js
+ * Using uvu test framework
+ */
+
+const { test } = require('uvu')
+const assert = require('uvu/assert')
+const {
+  assertDate,
+  assertIdentifier,
+  assertPath,
+  sqlString
+} = require('./validation')
+
+test('should accept valid calendar dates', () => {
+  assert.is(assertDate('2025-10-05'), '2025-10-05')
+  assert.is(assertDate('2024-02-29'), '2024-02-29', 'Leap day should be valid')
+})
+
+test('should reject malformed dates', () => {
+  assert.throws(() => assertDate('2025-10-5'), /expected YYYY-MM-DD/)
+  assert.throws(() => assertDate("2025-10-05' OR '1'='1"), /expected YYYY-MM-DD/)
+  assert.throws(() => assertDate(undefined), /expected YYYY-MM-DD/)
+})
+
+test('should reject dates that do not exist', () => {
+  assert.throws(() => assertDate('2025-02-30'), /not a calendar date/)
+  assert.throws(() => assertDate('2025-13-01'), /not a calendar date/)
+})
+
+test('should name the offending field in the error', () => {
+  assert.throws(() => assertDate('yesterday', 'startDate'), /Invalid startDate/)
+})
+
+test('should validate identifiers and paths', () => {
+  assert.is(assertIdentifier('pfCCh7ygOr8Gwv8BoGWHG3NO54Csd4aZ6tz1wHBx'), 'pfCCh7ygOr8Gwv8BoGWHG3NO54Csd4aZ6tz1wHBx')
+  assert.throws(() => assertIdentifier("key' --"), /Invalid identifier/)
+  assert.is(assertPath('/items/{id}'), '/items/{id}')
+  assert.throws(() => assertPath("/example' OR 1=1 --"), /Invalid path/)
+  assert.throws(() => assertPath('example'), /Invalid path/)
+})
+
+test('should quote and escape Athena parameter strings', () => {
+  assert.is(sqlString('2025'), "'2025'")
+  assert.is(sqlString("O'Brien"), "'O''Brien'")
+})
+
+// Run all tests
+test.run()